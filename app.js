@@ -1,265 +1,8 @@
-  // Formatter: small helper for showing large numbers nicely //
-  class Formatter {
-    // formatNumber: turn 1500 -> "1.50K" (shortened string for display) //
-    static formatNumber(value) {
-      if (value < 1000) return value.toString();
-      const units = ["", "K", "M", "B", "T", "Qa", "Qi", "Sx", "Sp", "Oc", "No", "Dc"];
-      let unitIndex = 0;
-      let n = value;
-      while (n >= 1000 && unitIndex < units.length - 1) {
-        n /= 1000;
-        unitIndex++;
-      }
-      return `${n.toFixed(n >= 100 ? 0 : n >= 10 ? 1 : 2)}${units[unitIndex]}`;
-    }
-  }
-
-  // Upgrade: represents a buyable item in shop(cursor, grandma, etc.) //
-  class Upgrade {
-    // constructor: create an upgrade with its properties //
-    constructor({ id, name, description, baseCost, growth, cps, cpc }) {
-      this.id = id;
-      this.name = name;
-      this.description = description;
-      this.baseCost = baseCost;
-      this.growth = growth;
-      this.count = 0;
-      this.cps = cps || 0; 
-      this.cpc = cpc || 0; 
-    }
-
-    // getCost: cost increases with how many we own //
-    getCost() {
-      return Math.floor(this.baseCost * Math.pow(this.growth, this.count));
-    }
-
-    toJSON() {
-      return {
-        id: this.id,
-        count: this.count
-      };
-    }
-  }
-
-  // GameState:(cookies, totals) //
-  class GameState {
-    constructor() {
-      this.cookies = 0; // current cookies //
-      this.totalCookies = 0; // total (for achievements) //
-      this.manualClicks = 0; // times clicked //
-      this.lastSavedAt = 0; // timestamp last saved //
-    }
-  }
-
-  // StorageService: tiny wrapper around localStorage for JSON saving/loading //
-  class StorageService {
-    // save: store object under a key
-    static save(key, data) {
-      try {
-        localStorage.setItem(key, JSON.stringify(data));
-      } catch (e) {
-        // ignore storage errors for now
-      }
-    }
-
-    // load: read JSON and parse, return fallback if missing //
-    static load(key, fallback) {
-      try {
-        const raw = localStorage.getItem(key);
-        return raw ? JSON.parse(raw) : fallback;
-      } catch (_) {
-        return fallback;
-      }
-    }
-  }
-
-  // CookieClickerGame: main game class — keeps state and ties subsystems together //
-  class CookieClickerGame {
-    // constructor: set up default state, services and UI //
-    constructor() {
-      this.state = new GameState();
-      this.clickPowerBase = 1;
-      this.upgrades = this.createDefaultUpgrades();
-      this.tickInterval = null;
-      this.autosaveInterval = null;
-      this.ui = new UIController(this);
-      this.achievements = new AchievementService(this, this.ui);
-      this.themeService = new ThemeService(this, this.ui);
-      this.started = false;
-      // settings (persisted separately) //
-      this.settings = {
-        autosaveEnabled: true,
-        autosaveIntervalSec: 10
-      };
-      // default sound on
-      this.settings.soundEnabled = true;
-      this.loadSettings();
-      this.soundService = new SoundService(this);
-    }
-
-    // createDefaultUpgrades: returns an array of upgrades available in shop //
-    createDefaultUpgrades() {
-      return [
-        new Upgrade({ id: "cursor", name: "Cursor", description: "+0.1 cps", baseCost: 15, growth: 1.1, cps: 0.1 }),
-        new Upgrade({ id: "click", name: "Sterkere klik", description: "+1 cpc", baseCost: 50, growth: 1.1, cpc: 1 }),
-        new Upgrade({ id: "grandma", name: "Oma", description: "+1 cps", baseCost: 100, growth: 1.2, cps: 1 }),
-        new Upgrade({ id: "farm", name: "Boerderij", description: "+8 cps", baseCost: 1100, growth: 1.2, cps: 8 }),
-        new Upgrade({ id: "mine", name: "Mijn", description: "+47 cps", baseCost: 12000, growth: 1.3, cps: 47 }),
-        new Upgrade({ id: "factory", name: "Fabriek", description: "+260 cps", baseCost: 130000, growth: 1.4, cps: 260 })
-      ];
-    }
-
-    // cookiesPerSecond: sum of all passive cookie production //
-    get cookiesPerSecond() {
-      let cps = 0;
-      for (const u of this.upgrades) cps += u.cps * u.count;
-      return cps;
-    }
-
-    // cookiesPerClick: how many cookies you get when you click //
-    get cookiesPerClick() {
-      let cpc = this.clickPowerBase;
-      for (const u of this.upgrades) cpc += u.cpc * u.count;
-      return cpc;
-    }
-
-    // addCookies: add to current and lifetime totals and update UI //
-    addCookies(amount) {
-      this.state.cookies += amount;
-      this.state.totalCookies += amount;
-      this.ui.updateStats();
-    }
-
-    // canAfford: check if player has enough cookies (use floor to avoid tiny fractions) //
-    canAfford(cost) {
-      return Math.floor(this.state.cookies) >= cost;
-    }
-
-    // buyUpgrade: attempt to purchase an upgrade, returns true on success //
-    buyUpgrade(id) {
-      const upg = this.upgrades.find(u => u.id === id);
-      if (!upg) return false;
-      const cost = upg.getCost();
-      if (!this.canAfford(cost)) return false;
-      this.state.cookies -= cost;
-      upg.count += 1;
-      // refresh shop UI after buying //
-      if (this.ui && this.ui.renderShopPanel) {
-        this.ui.renderShopPanel();
-      } else {
-        this.ui.updateStats();
-        if (this.ui.renderShop) this.ui.renderShop();
-      }
-      return true;
-    }
-
-    // click: handle a manual click (gain cookies and visual float) //
-    click() {
-      const amount = this.cookiesPerClick;
-      this.addCookies(amount);
-      this.state.manualClicks += 1;
-      this.ui.spawnFloat(`+${Formatter.formatNumber(amount)}`);
-      try { if (this.soundService) this.soundService.playClick(); } catch (_) {}
-    }
-
-    // tick: called every frame to apply passive income and check achievements //
-    tick(deltaSeconds) {
-      const earned = this.cookiesPerSecond * deltaSeconds;
-      if (earned > 0) this.addCookies(earned);
-      this.achievements.checkAchievements();
-      if (this.themeService) this.themeService.checkUnlocks();
-    }
-
-    // save: persist game state (upgrades, themes, and state) -> localStorage //
-    save() {
-      const data = {
-        state: this.state,
-        upgrades: this.upgrades.map(u => u.toJSON()),
-        version: 1,
-        themes: {
-          unlocked: Array.from(this.themeService ? this.themeService.unlocked : []),
-          owned: Array.from(this.themeService ? this.themeService.owned : []),
-          current: this.themeService ? this.themeService.current : 'default'
-        }
-      };
-      this.state.lastSavedAt = Date.now();
-      StorageService.save("cookie-clicker-oop", data);
-      this.ui.toast("Opgeslagen", "success");
-    }
-
-    // load: read persisted data and restore game objects //
-    load() {
-      const data = StorageService.load("cookie-clicker-oop", null);
-      if (!data) return;
-      Object.assign(this.state, data.state);
-      for (const saved of data.upgrades || []) {
-        const u = this.upgrades.find(x => x.id === saved.id);
-        if (u) u.count = saved.count || 0;
-      }
-      if (this.themeService) this.themeService.load(data.themes || null);
-    }
-
-    // start: initialize UI, restore data and begin the game loop //
-    start() {
-      if (this.started) return;
-      this.load();
-      this.ui.mount();
-      let last = performance.now();
-      const loop = (now) => {
-        const delta = (now - last) / 1000;
-        last = now;
-        this.tick(delta);
-        requestAnimationFrame(loop);
-      };
-      requestAnimationFrame(loop);
-      // autosave if enabled //
-      if (this.settings && this.settings.autosaveEnabled) {
-        const ms = (this.settings.autosaveIntervalSec || 10) * 1000;
-        this.autosaveInterval = setInterval(() => this.save(), ms);
-      }
-      this.started = true;
-    }
-
-    // loadSettings: read small UI settings like sound on/off //
-    loadSettings() {
-      try {
-        const raw = localStorage.getItem('cookie-settings');
-        if (!raw) return;
-        const s = JSON.parse(raw);
-        if (typeof s.soundEnabled === 'boolean') this.settings.soundEnabled = s.soundEnabled;
-      } catch (_) {}
-    }
-
-    // saveSettings: persist small UI settings //
-    saveSettings() {
-      try {
-        const out = { soundEnabled: !!this.settings.soundEnabled };
-        if (typeof this.settings.autosaveEnabled === 'boolean') out.autosaveEnabled = this.settings.autosaveEnabled;
-        if (typeof this.settings.autosaveIntervalSec === 'number') out.autosaveIntervalSec = this.settings.autosaveIntervalSec;
-        localStorage.setItem('cookie-settings', JSON.stringify(out));
-      } catch (_) {}
-    }
-
-    // reset: restore a fresh game after confirmation //
-    reset() {
-      if (!confirm("Weet je zeker dat je wilt resetten?")) return;
-      this.state = new GameState();
-      this.upgrades = this.createDefaultUpgrades();
-      if (this.themeService) this.themeService.reset();
-      if (this.ui && this.ui.renderShopPanel) {
-        this.ui.renderShopPanel();
-      } else if (this.ui.renderShop) {
-        this.ui.renderShop();
-      }
-      this.ui.updateStats();
-      this.save();
-      this.ui.toast("Gerest", "danger");
-    }
-  }
-
+// app.js: browser UI for the engine in engine.js (DOM rendering, input, sound) //
   // UIController: handles all DOM updates and user interactions //
   // This class reads the game state and renders the shop, achievements, //
   // theme lists and small UI feedback (toasts, floats). //
+  // The engine (engine.js) never calls it; it listens to the game's events instead //
   class UIController {
     constructor(game) {
       this.game = game;
@@ -271,25 +14,143 @@
         img: document.querySelector("#cookieButton .cookie-img"),
         shop: document.getElementById("shopList"),
         reset: document.getElementById("resetBtn"),
-        floatContainer: document.getElementById("floatingContainer")
+        floatContainer: document.getElementById("floatingContainer"),
+        fairPlay: document.getElementById("fairPlayBadge"),
+        combo: document.getElementById("comboMeter")
       };
       this.activeTab = 'shop';
+      // bulk buy selection in the shop: 1, 10, 100 or 'max' //
+      this.buyAmount = 1;
+      // shop mode: 'buy' or 'sell' //
+      this.shopMode = 'buy';
+      // history graph: range in seconds of play and which value is drawn //
+      this.historyRange = 300;
+      this.historyMetric = 'cookies';
+      // achievements tab: 'list' (all, with progress) or 'log' (unlocks in order) //
+      this.achievementView = 'list';
       this.$.shopSection = document.querySelector('.shop');
       // start screen & settings elements (may not exist yet when UIController constructed, so query lazily in mount) //
       this.startScreen = null;
       this.settingsModal = null;
+      this.offlineModal = null;
+      this.prestigeModal = null;
+      this.pendingImport = null; // migrated save data waiting for confirmation //
       this.playBtn = null;
       this.openSettingsBtn = null;
       this.saveSettingsBtn = null;
       this.closeSettingsBtn = null;
+      this.pendingOfflineReport = null;
+      // open dialogs, topmost last: { el, onEscape, returnTo } (focus trap, Escape, focus return) //
+      this.dialogs = [];
+      // screen-reader announcements; created in mount() once the DOM exists //
+      this.announcer = null;
+      this.loopStarted = false;
+      this.clock = null;
+      // totals are redrawn once per animation frame instead of on every simulation step //
+      this.statsDirty = false;
+      // cosmetic randomness (float drift) has its own stream so rendering never changes the simulation //
+      this.rng = new RandomService(game.rng.seed + 1);
+      this.bindEngineEvents();
+    }
+
+    // bindEngineEvents: translate engine events into DOM updates //
+    bindEngineEvents() {
+      const g = this.game;
+      // tick too, so timers (buffs, play time) keep moving when nothing is produced //
+      for (const name of ['stats', 'tick']) g.on(name, () => { this.statsDirty = true; });
+      // shop/load/reset: counts, prices or unlocks changed, so redraw panel and totals //
+      for (const name of ['shop', 'load', 'reset']) {
+        g.on(name, () => {
+          this.renderShopPanel();
+          this.updateStats();
+        });
+      }
+      g.on('load', () => this.updateFairPlay());
+      g.on('reset', () => this.updateFairPlay());
+      g.on('integrityFlagged', ({ reason }) => {
+        this.toast(I18n.t('integrity.flaggedToast', { reason: this.integrityReason(reason) }), 'danger');
+        this.updateFairPlay();
+      });
+      g.on('notify', ({ message, type }) => this.toast(message, type));
+      g.on('loadFailed', ({ error }) => console.error(error));
+      g.on('save', () => this.toast(I18n.t('toast.saved'), "success"));
+      g.on('click', ({ amount, multiplier }) => {
+        const combo = multiplier > 1 ? ` ×${Formatter.formatNumber(multiplier)}` : '';
+        this.spawnFloat(`+${Formatter.formatNumber(amount)}${combo}`);
+      });
+      g.on('comboTier', ({ tier, previous, multiplier }) => {
+        this.updateCombo();
+        if (!this.announcer) return;
+        if (tier > previous) this.announcer.say(I18n.t('a11y.comboTier', { multiplier }));
+        else if (tier === 0) this.announcer.say(I18n.t('a11y.comboLost'));
+      });
+      g.on('achievementUnlocked', ({ achievement }) => {
+        this.toast(I18n.content('achievements', achievement, 'description'), "success", true);
+        if (this.game.settings.notifications !== 'errors') this.notifyAchievement(achievement);
+      });
+      g.on('themeUnlocked', ({ theme }) => this.toast(I18n.t('toast.themeUnlocked', { name: I18n.content('themes', theme) }), 'success', true));
+      g.on('themeApplied', ({ theme, themes }) => {
+        for (const th of themes) {
+          if (th.cssClass) document.body.classList.remove(th.cssClass);
+        }
+        if (theme && theme.cssClass) document.body.classList.add(theme.cssClass);
+      });
+      g.on('history', () => {
+        if (this.activeTab === 'history') this.renderHistoryChart(document.querySelector('.history-chart'));
+      });
+      g.on('settings', ({ changed }) => {
+        // static page text first, so the settings controls show the new language too //
+        if (changed.includes('language')) this.translatePage();
+        this.writeSettingsToUI();
+        this.updateFairPlay();
+        // every text and number on screen depends on the language and format //
+        if (changed.includes('numberFormat') || changed.includes('language')) {
+          this.renderShopPanel();
+          this.updateStats();
+          this.renderSlots();
+        }
+      });
+      g.on('goldenSpawn', ({ x, y }) => {
+        this.showGoldenCookie(x, y);
+        if (this.announcer) this.announcer.say(I18n.t('a11y.goldenSpawn'));
+      });
+      g.on('goldenDespawn', () => this.removeGoldenCookie());
+      g.on('offlineReport', (report) => {
+        // load() runs before the game is shown, so the dialog waits until start //
+        this.pendingOfflineReport = report;
+      });
+    }
+
+    // startLoop: simulation on its own wall-clock timer, rendering on rAF; started once the player presses Play //
+    startLoop() {
+      if (this.loopStarted) return;
+      this.loopStarted = true;
+      this.clock = new SimulationClock(this.game);
+      this.clock.start();
+      // hidden tabs get throttled timers; settle the backlog as soon as the tab is back //
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.clock.catchUp();
+      });
+      const frame = () => {
+        if (this.statsDirty) {
+          this.statsDirty = false;
+          this.updateStats();
+        }
+        requestAnimationFrame(frame);
+      };
+      requestAnimationFrame(frame);
     }
 
     mount() {
+      this.announcer = new LiveAnnouncer(document.body);
+      this.translatePage();
       this.renderShopPanel();
       this.updateStats();
   // query start/settings elements now that DOM is ready //
   this.startScreen = document.getElementById('startScreen');
   this.settingsModal = document.getElementById('settingsModal');
+  this.offlineModal = document.getElementById('offlineModal');
+  this.prestigeModal = document.getElementById('prestigeModal');
   this.playBtn = document.getElementById('playBtn');
   this.openSettingsBtn = document.getElementById('openSettingsBtn');
   this.saveSettingsBtn = document.getElementById('saveSettingsBtn');
@@ -301,24 +162,45 @@
 
       if (this.playBtn) {
         this.playBtn.addEventListener('click', () => {
-          // apply settings currently in UI before starting //
-          this.readSettingsFromUI();
-          this.game.saveSettings();
+          this.game.useSlot(this.game.slots.activeId);
           this.hideStartScreen();
+          // keyboard players land on the cookie (the offline report below takes focus first if shown) //
+          this.$.button.focus();
           this.game.start();
+          // show what was earned while away (computed in load) //
+          if (this.pendingOfflineReport) {
+            this.showOfflineReport(this.pendingOfflineReport);
+            this.pendingOfflineReport = null;
+          }
+          this.startLoop();
         });
       }
       if (this.openSettingsBtn) this.openSettingsBtn.addEventListener('click', () => this.showSettings());
+      const newSlotBtn = document.getElementById('newSlotBtn');
+      if (newSlotBtn && !this.game.started) newSlotBtn.addEventListener('click', () => {
+        this.game.slots.create();
+        this.renderSlots();
+      });
       if (this.closeSettingsBtn) this.closeSettingsBtn.addEventListener('click', () => this.hideSettings());
+      const closeOfflineBtn = document.getElementById('closeOfflineBtn');
+      if (closeOfflineBtn) closeOfflineBtn.addEventListener('click', () => this.hideOfflineReport());
+      const confirmAscendBtn = document.getElementById('confirmAscendBtn');
+      if (confirmAscendBtn) confirmAscendBtn.addEventListener('click', () => {
+        this.hidePrestigeConfirm();
+        this.game.ascend();
+      });
+      const cancelAscendBtn = document.getElementById('cancelAscendBtn');
+      if (cancelAscendBtn) cancelAscendBtn.addEventListener('click', () => this.hidePrestigeConfirm());
       if (this.saveSettingsBtn) this.saveSettingsBtn.addEventListener('click', () => {
         this.readSettingsFromUI();
-        this.game.saveSettings();
         this.hideSettings();
       });
+      this.mountSettings();
+      this.mountSaveTransfer();
       const resetProgressBtn = document.getElementById('resetProgressBtn');
       if (resetProgressBtn) resetProgressBtn.addEventListener('click', () => {
-        // call game's reset (already asks confirm) //
         this.hideSettings();
+        if (!confirm(I18n.t('settings.resetConfirm'))) return;
         this.game.reset();
       });
 
@@ -329,22 +211,25 @@
         if (!dbg) {
           dbg = document.createElement('button');
           dbg.id = 'unlockAllBtn';
-          dbg.textContent = 'Demo: Unlock alles';
+          dbg.dataset.i18n = 'settings.unlockAll';
+          dbg.textContent = I18n.t('settings.unlockAll');
           dbg.className = 'secondary';
           dbg.style.marginTop = '8px';
           this.settingsModal.appendChild(dbg);
         }
         dbg.addEventListener('click', () => {
           try {
+            // unlocking by hand is not fair play: the session is flagged like a scripted click //
+            this.game.integrity.flag('debug');
             // mark all achievements unlocked and unlock/own all themes
             for (const a of this.game.achievements.achievements) {
-              this.game.achievements.unlocked.add(a.id);
+              this.game.achievements.unlock(a, Date.now(), true);
               if (a.themeId && this.game.themeService) this.game.themeService.unlocked.add(a.themeId);
             }
             if (this.game.themeService) {
               for (const t of this.game.themeService.themes) this.game.themeService.owned.add(t.id);
             }
-            this.toast('Alle achievements ontgrendeld (demo)', 'success');
+            this.toast(I18n.t('toast.unlockAll'), 'success');
             if (this.renderShopPanel) this.renderShopPanel();
           } catch (e) { console.error(e); }
         });
@@ -352,25 +237,264 @@
 
       // populate UI with saved settings //
       this.writeSettingsToUI();
-      const clickable = this.$.img || this.$.button;
-      clickable.addEventListener("click", (ev) => {
-        const rect = this.$.button.getBoundingClientRect();
-        const x = ev.clientX - rect.left;
-        const y = ev.clientY - rect.top;
-        this.game.click();
-        const last = this.$.floatContainer.lastElementChild;
-        if (last) {
-          last.style.left = x + "px";
-          last.style.top = y + "px";
-        }
+      this.updateFairPlay();
+      // on the button rather than the image, so Space/Enter on the focused cookie count too //
+      this.$.button.addEventListener("click", (ev) => this.clickCookie(ev));
+      // a held Enter repeats the button's click; that is not clicking either //
+      this.$.button.addEventListener("keydown", (ev) => {
+        if (ev.repeat && (ev.key === 'Enter' || ev.key === ' ')) ev.preventDefault();
       });
+      this.mountKeyboard();
       // footer reset removed; reset now in settings modal //
     }
 
+    // clickCookie: one manual click; a pointer click also moves the float text to the pointer //
+    // (keyboard clicks have detail 0 and no position, so their float stays in the middle) //
+    // ev.isTrusted is false for clicks made by a script (el.click(), dispatchEvent) //
+    clickCookie(ev) {
+      // the engine never reads the clock itself; the event time keeps the rate check in real time //
+      const input = ev ? { trusted: ev.isTrusted, at: ev.timeStamp } : { at: performance.now() };
+      if (!this.game.click(input)) return;
+      const last = this.$.floatContainer.lastElementChild;
+      if (!ev || ev.type !== 'click' || ev.detail === 0 || !last || !this.game.settings.floatText) return;
+      const rect = this.$.button.getBoundingClientRect();
+      last.style.left = (ev.clientX - rect.left) + "px";
+      last.style.top = (ev.clientY - rect.top) + "px";
+    }
+
+    // mountKeyboard: shortcuts from UIController.keyBindings while playing; with a dialog open //
+    // only Escape (close) and Tab (kept inside the dialog) are handled //
+    mountKeyboard() {
+      document.addEventListener('keydown', (ev) => {
+        const dialog = this.dialogs[this.dialogs.length - 1];
+        if (dialog) return this.onDialogKey(ev, dialog);
+        if (!this.loopStarted || ev.defaultPrevented || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+        const target = ev.target instanceof Element ? ev.target : document.body;
+        if (target.closest('input, textarea, select')) return;
+        const action = /^[1-9]$/.test(ev.key) ? 'shopRow' : UIController.keyBindings[ev.key];
+        if (!action) return;
+        // Space/Enter on a focused button already presses that button //
+        if (action === 'click' && target !== document.body && target.closest('button, a, [tabindex]')) return;
+        ev.preventDefault();
+        this.runShortcut(action, ev);
+      });
+    }
+
+    runShortcut(action, ev) {
+      if (action === 'click') {
+        // holding the key down is not clicking //
+        if (!ev.repeat) this.clickCookie(ev);
+      } else if (action === 'shopRow') {
+        const upg = this.game.upgrades[Number(ev.key) - 1];
+        if (upg) this.useShopRow(upg);
+      } else if (action === 'golden') {
+        this.game.goldenCookies.click({ trusted: ev.isTrusted });
+      } else if (action === 'previousTab') {
+        this.stepTab(-1);
+      } else if (action === 'nextTab') {
+        this.stepTab(1);
+      }
+    }
+
+    // useShopRow: what a shop row's button does (buy or sell the selected amount), read back for screen readers //
+    useShopRow(upg) {
+      const selling = this.shopMode === 'sell';
+      const done = selling ? this.game.sellUpgrade(upg.id, this.buyAmount) : this.game.buyUpgrade(upg.id, this.buyAmount);
+      const name = I18n.content('buildings', upg);
+      this.announcer.say(done ? `${name} × ${Formatter.formatNumber(upg.count)}` : I18n.t(selling ? 'a11y.cannotSell' : 'a11y.cannotBuy', { name }));
+    }
+
+    // switchTab: show another panel tab; arrow keys in the tab list keep focus on the tabs //
+    switchTab(id, focusTab = false) {
+      this.activeTab = id;
+      this.renderShopPanel();
+      const tab = focusTab && document.getElementById(`tab-${id}`);
+      if (tab) tab.focus();
+    }
+
+    // stepTab: next (+1) or previous (-1) tab, wrapping around //
+    stepTab(step, focusTab = false) {
+      const ids = UIController.tabs;
+      const index = ids.indexOf(this.activeTab);
+      this.switchTab(ids[(index + step + ids.length) % ids.length], focusTab);
+    }
+
+    // onTabListKey: arrow keys, Home and End move between tabs (WAI-ARIA tabs pattern) //
+    onTabListKey(ev) {
+      const ids = UIController.tabs;
+      if (ev.key === 'ArrowRight') this.stepTab(1, true);
+      else if (ev.key === 'ArrowLeft') this.stepTab(-1, true);
+      else if (ev.key === 'Home') this.switchTab(ids[0], true);
+      else if (ev.key === 'End') this.switchTab(ids[ids.length - 1], true);
+      else return;
+      ev.preventDefault();
+    }
+
+    // openDialog: show a modal, remember what had focus and move focus into it //
+    // `onEscape` closes it from the keyboard; the start screen has none (Play is the way out) //
+    openDialog(el, onEscape = null) {
+      el.setAttribute('aria-hidden', 'false');
+      this.dialogs = this.dialogs.filter(d => d.el !== el);
+      this.dialogs.push({ el, onEscape, returnTo: document.activeElement });
+      const first = el.querySelector('[data-autofocus]') || this.focusableIn(el)[0];
+      if (first) first.focus();
+    }
+
+    // closeDialog: hide a modal; closing the top one hands focus back to where it came from //
+    closeDialog(el) {
+      el.setAttribute('aria-hidden', 'true');
+      const index = this.dialogs.findIndex(d => d.el === el);
+      if (index === -1) return;
+      const [entry] = this.dialogs.splice(index, 1);
+      if (index === this.dialogs.length && entry.returnTo && entry.returnTo.isConnected && entry.returnTo.focus) entry.returnTo.focus();
+    }
+
+    // onDialogKey: Escape closes the top dialog, Tab / Shift+Tab wrap around inside it //
+    onDialogKey(ev, dialog) {
+      if (ev.key === 'Escape') {
+        if (!dialog.onEscape) return;
+        ev.preventDefault();
+        dialog.onEscape();
+        return;
+      }
+      if (ev.key !== 'Tab') return;
+      const items = this.focusableIn(dialog.el);
+      if (items.length === 0) return ev.preventDefault();
+      const first = items[0];
+      const last = items[items.length - 1];
+      const active = document.activeElement;
+      const inside = dialog.el.contains(active);
+      if (ev.shiftKey && (active === first || !inside)) {
+        ev.preventDefault();
+        last.focus();
+      } else if (!ev.shiftKey && (active === last || !inside)) {
+        ev.preventDefault();
+        first.focus();
+      }
+    }
+
+    focusableIn(el) {
+      return [...el.querySelectorAll('button, [href], input, select, textarea, [tabindex]')]
+        .filter(x => !x.disabled && x.tabIndex >= 0 && !x.closest('[hidden]'));
+    }
+
+    // saveFocus / restoreFocus: re-rendering replaces buttons, so focus moves to the new button with //
+    // the same data-focus-key (or a fallback) instead of falling back to <body> //
+    saveFocus(container) {
+      const active = document.activeElement;
+      if (!container || !active || active === document.body || !container.contains(active)) return null;
+      return { el: active, key: active.dataset.focusKey };
+    }
+
+    restoreFocus(container, saved, fallback) {
+      if (!saved || (saved.el.isConnected && container.contains(saved.el))) return;
+      const next = (saved.key && container.querySelector(`[data-focus-key="${saved.key}"]`)) || (fallback && fallback());
+      if (next) next.focus();
+    }
+
+    // translatePage: static text in index.html, marked with data-i18n (text), //
+    // data-i18n-title, data-i18n-placeholder and data-i18n-aria-label (attributes) //
+    translatePage() {
+      document.documentElement.lang = I18n.language;
+      for (const el of document.querySelectorAll('[data-i18n]')) el.textContent = I18n.t(el.dataset.i18n);
+      const attributes = [['i18nTitle', 'title'], ['i18nPlaceholder', 'placeholder'], ['i18nAriaLabel', 'aria-label']];
+      for (const [key, attr] of attributes) {
+        const name = 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+        for (const el of document.querySelectorAll(`[${name}]`)) el.setAttribute(attr, I18n.t(el.dataset[key]));
+      }
+    }
+
+    // showFatalError: replace the start screen content with an error list (no game is created) //
+    static showFatalError(title, lines) {
+      const card = document.querySelector('#startScreen .start-card');
+      if (!card) return;
+      card.innerHTML = '';
+      const h = document.createElement('h2');
+      h.textContent = title;
+      const list = document.createElement('ul');
+      list.className = 'fatal-errors';
+      for (const line of lines) {
+        const li = document.createElement('li');
+        li.textContent = line;
+        list.appendChild(li);
+      }
+      card.appendChild(h);
+      card.appendChild(list);
+    }
+
+    // renderSlots: save slot picker on the start screen //
+    renderSlots() {
+      const list = document.getElementById('slotList');
+      if (!list) return;
+      const slots = this.game.slots;
+      const focus = this.saveFocus(list);
+      list.innerHTML = '';
+      for (const slot of slots.slots) {
+        const row = document.createElement('div');
+        row.className = 'slot-row' + (slot.id === slots.activeId ? ' active' : '');
+        const meta = document.createElement('button');
+        meta.className = 'slot-meta';
+        meta.title = I18n.t('slots.choose');
+        meta.dataset.focusKey = `slot-${slot.id}`;
+        meta.setAttribute('aria-pressed', String(slot.id === slots.activeId));
+        const name = document.createElement('div');
+        name.className = 'slot-name';
+        name.textContent = slots.nameOf(slot);
+        const info = document.createElement('div');
+        info.className = 'slot-info';
+        const sum = slots.getSummary(slot.id);
+        if (!sum) {
+          info.textContent = I18n.t('slots.empty');
+        } else {
+          const cps = typeof sum.cps === 'number' ? `${Formatter.formatNumber(sum.cps)} cps` : '? cps';
+          const when = sum.lastPlayedAt ? new Date(sum.lastPlayedAt).toLocaleString(Formatter.locale) : I18n.t('slots.unknown');
+          info.textContent = `🍪 ${Formatter.formatNumber(BigNum.from(sum.cookies).floor())} · ${cps} · ${when}`;
+        }
+        meta.appendChild(name);
+        meta.appendChild(info);
+        meta.addEventListener('click', () => {
+          slots.setActive(slot.id);
+          this.renderSlots();
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'slot-actions';
+        const mk = (label, title, fn) => {
+          const b = document.createElement('button');
+          b.className = 'secondary';
+          b.textContent = label;
+          b.title = title;
+          b.setAttribute('aria-label', `${title}: ${slots.nameOf(slot)}`);
+          b.dataset.focusKey = `slot-${slot.id}-${actions.children.length}`;
+          b.addEventListener('click', fn);
+          actions.appendChild(b);
+        };
+        mk('✏️', I18n.t('slots.rename'), () => {
+          const next = prompt(I18n.t('slots.renamePrompt'), slots.nameOf(slot));
+          if (next && next.trim()) slots.rename(slot.id, next.trim());
+          this.renderSlots();
+        });
+        mk('⧉', I18n.t('slots.duplicate'), () => {
+          slots.duplicate(slot.id);
+          this.renderSlots();
+        });
+        mk('🗑', I18n.t('slots.delete'), () => {
+          if (!confirm(I18n.t('slots.deleteConfirm', { name: slots.nameOf(slot) }))) return;
+          slots.remove(slot.id);
+          this.renderSlots();
+        });
+        row.appendChild(meta);
+        row.appendChild(actions);
+        list.appendChild(row);
+      }
+      this.restoreFocus(list, focus, () => list.querySelector('.slot-row.active .slot-meta'));
+    }
+
     showStartScreen() {
+      this.renderSlots();
       if (!this.startScreen) return;
       this.startScreen.style.display = 'grid';
-      this.startScreen.setAttribute('aria-hidden', 'false');
+      this.openDialog(this.startScreen);
     }
 
     notifyAchievement(ach) {
@@ -392,7 +516,8 @@
       let emoji = '🎉';
       let color = 'var(--primary)';
       try {
-        const t = ach.target || 0;
+        // cookie milestones get a bigger icon the higher they are //
+        const t = ach.type === 'totalCookies' ? ach.target : 0;
         if (t >= 10000000) { emoji = '🏆'; color = '#f59e0b'; }
         else if (t >= 5000000) { emoji = '🥇'; color = '#f97316'; }
         else if (t >= 1000000) { emoji = '🎖️'; color = '#f97316'; }
@@ -407,10 +532,11 @@
       body.className = 'body';
       const title = document.createElement('div');
       title.className = 'title';
-      title.textContent = `Hoeraaa! ${ach.name} behaald`;
+      title.textContent = I18n.t('toast.achievement', { name: I18n.content('achievements', ach) });
+      if (this.announcer) this.announcer.say(title.textContent);
       const sub = document.createElement('div');
       sub.className = 'sub';
-      sub.textContent = ach.description || '';
+      sub.textContent = I18n.content('achievements', ach, 'description') || '';
 
       body.appendChild(title);
       body.appendChild(sub);
@@ -434,31 +560,206 @@
     hideStartScreen() {
       if (!this.startScreen) return;
       this.startScreen.style.display = 'none';
-      this.startScreen.setAttribute('aria-hidden', 'true');
+      this.closeDialog(this.startScreen);
     }
 
     showSettings() {
       if (!this.settingsModal) return;
-      this.settingsModal.setAttribute('aria-hidden', 'false');
+      this.openDialog(this.settingsModal, () => this.hideSettings());
     }
 
     hideSettings() {
       if (!this.settingsModal) return;
-      this.settingsModal.setAttribute('aria-hidden', 'true');
+      this.closeDialog(this.settingsModal);
+    }
+
+    // mountSaveTransfer: export / import controls in the settings modal //
+    mountSaveTransfer() {
+      const field = document.getElementById('saveCodeField');
+      const exportBtn = document.getElementById('exportSaveBtn');
+      const downloadBtn = document.getElementById('downloadSaveBtn');
+      const importBtn = document.getElementById('importSaveBtn');
+      const fileInput = document.getElementById('importFileInput');
+      if (exportBtn && field) exportBtn.addEventListener('click', () => {
+        field.value = this.game.exportSave();
+        field.select();
+        try {
+          if (navigator.clipboard) navigator.clipboard.writeText(field.value).then(() => this.toast(I18n.t('toast.copied'), 'success'), () => {});
+        } catch (_) {}
+      });
+      if (downloadBtn) downloadBtn.addEventListener('click', () => this.downloadSave());
+      if (importBtn && field) importBtn.addEventListener('click', () => this.showImportPreview(field.value));
+      // the "file" label wraps a hidden input, so it needs its own keyboard handling //
+      const fileBtn = fileInput && fileInput.closest('.file-btn');
+      if (fileBtn) fileBtn.addEventListener('keydown', (ev) => {
+        if (ev.key !== 'Enter' && ev.key !== ' ') return;
+        ev.preventDefault();
+        fileInput.click();
+      });
+      if (fileInput) fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+          fileInput.value = '';
+          let code = text;
+          try {
+            const parsed = JSON.parse(text);
+            if (parsed && typeof parsed.code === 'string') code = parsed.code;
+          } catch (_) {}
+          if (field) field.value = code;
+          this.showImportPreview(code);
+        });
+      });
+      const confirmImportBtn = document.getElementById('confirmImportBtn');
+      if (confirmImportBtn) confirmImportBtn.addEventListener('click', () => {
+        if (this.pendingImport) this.game.importSave(this.pendingImport);
+        this.hideImportPreview();
+        this.hideSettings();
+      });
+      const cancelImportBtn = document.getElementById('cancelImportBtn');
+      if (cancelImportBtn) cancelImportBtn.addEventListener('click', () => this.hideImportPreview());
+    }
+
+    // downloadSave: .json file with the save code plus a readable copy of the data //
+    downloadSave() {
+      const file = {
+        format: 'cookie-clicker-oop',
+        exportedAt: new Date().toISOString(),
+        code: this.game.exportSave(),
+        save: this.game.getSaveData()
+      };
+      const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = `cookie-clicker-save-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    // showImportPreview: validate a code and ask for confirmation with a summary //
+    showImportPreview(code) {
+      let preview;
+      try {
+        preview = this.game.previewImport(code);
+      } catch (e) {
+        this.toast(e instanceof SaveCodecError ? e.message : I18n.t('import.failed'), 'danger');
+        return;
+      }
+      this.pendingImport = preview.data;
+      const modal = document.getElementById('importModal');
+      const text = document.getElementById('importSummary');
+      if (text) {
+        const s = preview.summary;
+        text.innerHTML = '';
+        const lines = [
+          I18n.t('import.cookies', { cookies: s.cookies.floor(), total: s.totalCookies.floor() }),
+          I18n.t('import.buildings', { count: s.buildings }),
+          I18n.t('import.themes', { themes: s.themes.join(', ') }),
+          I18n.t('import.prestige', { level: s.prestigeLevel })
+        ];
+        if (s.flaggedSessions) lines.push(I18n.t('import.flagged', { count: s.flaggedSessions }));
+        for (const line of lines) {
+          const li = document.createElement('li');
+          li.textContent = line;
+          text.appendChild(li);
+        }
+      }
+      if (modal) this.openDialog(modal, () => this.hideImportPreview());
+    }
+
+    hideImportPreview() {
+      this.pendingImport = null;
+      const modal = document.getElementById('importModal');
+      if (modal) this.closeDialog(modal);
+    }
+
+    // showOfflineReport: "welkom terug" dialog with cookies earned while away //
+    showOfflineReport(report) {
+      if (!this.offlineModal || !report) return;
+      const text = this.offlineModal.querySelector('#offlineText');
+      if (text) {
+        text.textContent = I18n.t('offline.text', { duration: Formatter.formatDuration(report.seconds), cookies: Math.floor(report.earned) });
+      }
+      const note = this.offlineModal.querySelector('#offlineNote');
+      if (note) {
+        // the share actually credited: the setting plus prestige upgrades like the Droomoven //
+        const percent = Formatter.formatPercent(report.efficiency);
+        const capped = report.credited < report.seconds;
+        note.textContent = capped
+          ? I18n.t('offline.noteCapped', { percent, duration: Formatter.formatDuration(report.credited) })
+          : I18n.t('offline.note', { percent });
+      }
+      this.openDialog(this.offlineModal, () => this.hideOfflineReport());
+    }
+
+    hideOfflineReport() {
+      if (!this.offlineModal) return;
+      this.closeDialog(this.offlineModal);
+    }
+
+    // showPrestigeConfirm: confirmation screen with the prestige an ascension would give //
+    showPrestigeConfirm() {
+      if (!this.prestigeModal) return;
+      const p = this.game.prestige;
+      const gain = p.getPendingLevels();
+      const text = this.prestigeModal.querySelector('#prestigeText');
+      if (text) {
+        text.textContent = gain > 0
+          ? I18n.t('ascend.gain', { gain, total: p.level + gain, percent: Formatter.formatPercent((p.level + gain) * p.bonusPerLevel) })
+          : I18n.t('ascend.notYet', { cookies: p.getCookiesForNextLevel() });
+      }
+      const confirmBtn = this.prestigeModal.querySelector('#confirmAscendBtn');
+      if (confirmBtn) confirmBtn.disabled = gain <= 0;
+      this.openDialog(this.prestigeModal, () => this.hidePrestigeConfirm());
+    }
+
+    hidePrestigeConfirm() {
+      if (!this.prestigeModal) return;
+      this.closeDialog(this.prestigeModal);
     }
 
     writeSettingsToUI() {
-      const s = this.game.settings || { soundEnabled: true };
-      // sound toggle //
-      const soundToggle = document.getElementById('soundToggle');
-      if (soundToggle) soundToggle.checked = !!(s.soundEnabled !== false);
+      const s = this.game.settings;
+      for (const [id, key] of UIController.settingControls) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        if (el.type === 'checkbox') el.checked = !!s[key];
+        else el.value = String(s[key]);
+      }
+      const interval = document.getElementById('autosaveIntervalSelect');
+      if (interval) interval.disabled = !s.autosaveEnabled;
     }
 
+    // readSettingsFromUI: hand every control's value to the game (which validates and persists) //
     readSettingsFromUI() {
-      try {
-        const soundToggle = document.getElementById('soundToggle');
-        if (soundToggle) this.game.settings.soundEnabled = !!soundToggle.checked;
-      } catch (_) {}
+      const changes = {};
+      for (const [id, key] of UIController.settingControls) {
+        const el = document.getElementById(id);
+        if (!el) continue;
+        if (el.type === 'checkbox') changes[key] = el.checked;
+        else changes[key] = el.dataset.type === 'number' ? Number(el.value) : el.value;
+      }
+      this.game.updateSettings(changes);
+    }
+
+    // mountSettings: settings apply as soon as a control changes //
+    // the language select lists every catalog in locales.js, in its own language //
+    mountSettings() {
+      const languageSelect = document.getElementById('languageSelect');
+      if (languageSelect) {
+        for (const { id, name } of I18n.languages()) {
+          const option = document.createElement('option');
+          option.value = id;
+          option.textContent = name;
+          languageSelect.appendChild(option);
+        }
+      }
+      for (const [id] of UIController.settingControls) {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', () => this.readSettingsFromUI());
+      }
     }
     renderShop() {
       // Ensure we have a stable shop-list element to render into (inside panel-content when present) //
@@ -484,22 +785,20 @@
         meta.className = "meta";
         const title = document.createElement("div");
         title.className = "title";
-        title.textContent = `${upg.name} × ${upg.count}`;
+        title.textContent = `${I18n.content('buildings', upg)} × ${Formatter.formatNumber(upg.count)}`;
         const desc = document.createElement("div");
         desc.className = "desc";
-        desc.textContent = upg.description;
+        desc.textContent = I18n.content('buildings', upg, 'description');
         const price = document.createElement("div");
         price.className = "price";
-        price.textContent = `${Formatter.formatNumber(upg.getCost())} 🍪`;
         meta.appendChild(title);
         meta.appendChild(desc);
         meta.appendChild(price);
 
         const btn = document.createElement("button");
-        btn.textContent = "Koop";
-        const affordable = this.game.canAfford(upg.getCost());
-        btn.disabled = !affordable;
-        btn.addEventListener("click", () => this.game.buyUpgrade(upg.id));
+        btn.dataset.focusKey = `shop-${upg.id}`;
+        btn.addEventListener("click", () => this.useShopRow(upg));
+        this.updateShopRow(upg, price, btn);
 
         item.appendChild(meta);
         item.appendChild(btn);
@@ -511,19 +810,120 @@
       }
     }
 
+    // updateShopRow: price and button for the selected amount and shop mode //
+    updateShopRow(upg, price, btn) {
+      if (this.shopMode === 'sell') {
+        const sell = this.game.quoteSell(upg, this.buyAmount);
+        const prefix = sell.amount > 1 ? `${Formatter.formatNumber(sell.amount)}× ` : '';
+        if (price) price.textContent = sell.amount > 0 ? `${prefix}+${Formatter.formatNumber(sell.refund)} 🍪` : '-';
+        if (btn) {
+          btn.textContent = sell.amount > 1 ? I18n.t('shop.sellAmount', { amount: sell.amount }) : I18n.t('shop.sell');
+          btn.disabled = sell.amount <= 0;
+        }
+        return;
+      }
+      const quote = this.game.quoteUpgrade(upg, this.buyAmount);
+      const prefix = quote.amount > 1 ? `${Formatter.formatNumber(quote.amount)}× ` : '';
+      if (price) price.textContent = `${prefix}${Formatter.formatNumber(quote.cost)} 🍪`;
+      if (btn) {
+        btn.textContent = quote.amount > 1 ? I18n.t('shop.buyAmount', { amount: quote.amount }) : I18n.t('shop.buy');
+        btn.disabled = !this.game.canAfford(quote.cost);
+      }
+    }
+
+    // renderTech: one-time upgrades section (only unlocked, not yet bought items) //
+    renderTech(container) {
+      if (!container) return;
+      const techs = this.game.techUpgrades;
+      const available = techs.filter(t => !t.purchased && t.isUnlocked(this.game.upgrades));
+      const bought = techs.filter(t => t.purchased).length;
+      container.innerHTML = '';
+      const head = document.createElement('div');
+      head.className = 'tech-head';
+      head.textContent = I18n.t('shop.techHead', { bought, total: techs.length });
+      container.appendChild(head);
+      if (available.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'tech-empty';
+        empty.textContent = I18n.t('shop.techEmpty');
+        container.appendChild(empty);
+        return;
+      }
+      const list = document.createElement('div');
+      list.className = 'tech-list';
+      for (const tech of available) {
+        const btn = document.createElement('button');
+        btn.className = 'tech-item secondary';
+        btn.dataset.id = tech.id;
+        btn.dataset.focusKey = `tech-${tech.id}`;
+        btn.title = I18n.content('techUpgrades', tech, 'description');
+        btn.textContent = `${I18n.content('techUpgrades', tech)} · ${Formatter.formatNumber(tech.cost)} 🍪`;
+        btn.disabled = !this.game.canAfford(tech.cost);
+        btn.addEventListener('click', () => this.game.buyTech(tech.id));
+        list.appendChild(btn);
+      }
+      container.appendChild(list);
+    }
+
+    // renderBuyAmounts: buy/sell toggle and x1 / x10 / x100 / Max selector above the shop list //
+    renderBuyAmounts(container) {
+      if (!container) return;
+      container.innerHTML = '';
+      const modes = [
+        { value: 'buy', label: I18n.t('shop.modeBuy') },
+        { value: 'sell', label: I18n.t('shop.modeSell') }
+      ];
+      for (const mode of modes) {
+        const b = document.createElement('button');
+        b.className = 'amount-btn mode-btn' + (this.shopMode === mode.value ? ' active' : '');
+        b.textContent = mode.label;
+        b.dataset.focusKey = `mode-${mode.value}`;
+        b.setAttribute('aria-pressed', String(this.shopMode === mode.value));
+        b.addEventListener('click', () => {
+          this.shopMode = mode.value;
+          this.renderShopPanel();
+        });
+        container.appendChild(b);
+      }
+      const options = [
+        { value: 1, label: 'x1' },
+        { value: 10, label: 'x10' },
+        { value: 100, label: 'x100' },
+        { value: 'max', label: I18n.t('shop.max') }
+      ];
+      for (const opt of options) {
+        const b = document.createElement('button');
+        b.className = 'amount-btn' + (this.buyAmount === opt.value ? ' active' : '');
+        b.textContent = opt.label;
+        b.dataset.focusKey = `amount-${opt.value}`;
+        b.setAttribute('aria-pressed', String(this.buyAmount === opt.value));
+        b.addEventListener('click', () => {
+          this.buyAmount = opt.value;
+          this.renderShopPanel();
+        });
+        container.appendChild(b);
+      }
+    }
+
     renderShopPanel() {
       if (!this.$.shopSection) return this.renderShop();
+      const focus = this.saveFocus(this.$.shopSection);
       // ensure tab and content containers exist //
       let tabs = this.$.shopSection.querySelector('.panel-tabs');
       if (!tabs) {
         tabs = document.createElement('div');
         tabs.className = 'panel-tabs';
+        tabs.setAttribute('role', 'tablist');
+        tabs.addEventListener('keydown', (ev) => this.onTabListKey(ev));
         this.$.shopSection.insertBefore(tabs, this.$.shopSection.firstChild);
       }
+      tabs.setAttribute('aria-label', I18n.t('a11y.panels'));
       let content = this.$.shopSection.querySelector('.panel-content');
       if (!content) {
         content = document.createElement('div');
         content.className = 'panel-content';
+        content.id = 'panelContent';
+        content.setAttribute('role', 'tabpanel');
         // move existing shop list into content on first render //
         const existing = this.$.shop;
         content.appendChild(existing);
@@ -532,21 +932,22 @@
 
       // render tabs //
       tabs.innerHTML = '';
-      const tabsDef = [
-        { id: 'shop', label: 'Winkel' },
-        { id: 'achievements', label: 'Achievements' },
-        { id: 'themes', label: "Thema's" }
-      ];
-      for (const t of tabsDef) {
+      for (const id of UIController.tabs) {
+        const active = this.activeTab === id;
         const b = document.createElement('button');
-        b.className = 'tab-btn' + (this.activeTab === t.id ? ' active' : '');
-        b.textContent = t.label;
-        b.addEventListener('click', () => {
-          this.activeTab = t.id;
-          this.renderShopPanel();
-        });
+        b.className = 'tab-btn' + (active ? ' active' : '');
+        b.textContent = I18n.t(`tab.${id}`);
+        b.id = `tab-${id}`;
+        b.dataset.focusKey = `tab-${id}`;
+        b.setAttribute('role', 'tab');
+        b.setAttribute('aria-selected', String(active));
+        b.setAttribute('aria-controls', 'panelContent');
+        // one tab stop for the whole list; arrow keys move between tabs //
+        b.tabIndex = active ? 0 : -1;
+        b.addEventListener('click', () => this.switchTab(id));
         tabs.appendChild(b);
       }
+      content.setAttribute('aria-labelledby', `tab-${this.activeTab}`);
 
       // render content for active tab //
       content.innerHTML = '';
@@ -561,23 +962,47 @@
       titleEl.textContent = '';
       if (this.activeTab === 'shop') {
         // create title and shop list structure like achievements/themes //
-        content.innerHTML = "<div>Winkel</div><div class='shop-list' id='shopList'></div>";
+        content.innerHTML = "<div></div><div class='tech-section'></div><div class='buy-amounts'></div><div class='shop-list' id='shopList'></div>";
+        content.firstChild.textContent = I18n.t('tab.shop');
         this.$.shop = content.querySelector('.shop-list');
+        this.renderTech(content.querySelector('.tech-section'));
+        this.renderBuyAmounts(content.querySelector('.buy-amounts'));
         this.renderShop();
       } else if (this.activeTab === 'achievements') {
         this.renderAchievements(content);
       } else if (this.activeTab === 'themes') {
         this.renderThemes(content);
+      } else if (this.activeTab === 'prestige') {
+        this.renderPrestige(content);
+      } else if (this.activeTab === 'stats') {
+        this.renderStatistics(content);
+      } else if (this.activeTab === 'history') {
+        this.renderHistory(content);
       }
+      this.restoreFocus(this.$.shopSection, focus, () => document.getElementById(`tab-${this.activeTab}`));
     }
 
     // render achievements into a provided container (panel). If container omitted, try to find achievementsBox (fallback). //
     renderAchievements(container) {
       const box = container || document.getElementById("achievementsBox");
       if (!box) return;
-      box.innerHTML = "<div>Achievements</div><div class='achievements-list'></div>";
+      box.innerHTML = "<div></div><div class='buy-amounts achievement-views'></div><div class='achievements-list'></div>";
+      box.firstChild.textContent = I18n.t('tab.achievements');
+      const views = box.querySelector('.achievement-views');
+      for (const v of [{ value: 'list', label: I18n.t('achievements.list') }, { value: 'log', label: I18n.t('achievements.log') }]) {
+        const b = document.createElement('button');
+        b.className = 'amount-btn' + (this.achievementView === v.value ? ' active' : '');
+        b.textContent = v.label;
+        b.dataset.focusKey = `achievements-${v.value}`;
+        b.setAttribute('aria-pressed', String(this.achievementView === v.value));
+        b.addEventListener('click', () => {
+          this.achievementView = v.value;
+          this.renderShopPanel();
+        });
+        views.appendChild(b);
+      }
       const list = box.querySelector('.achievements-list');
-      const total = this.game.state.totalCookies || 0;
+      if (this.achievementView === 'log') return this.renderAchievementLog(list);
       for (const ach of this.game.achievements.achievements) {
         const unlocked = this.game.achievements.unlocked.has(ach.id);
         const row = document.createElement('div');
@@ -586,26 +1011,38 @@
         left.className = 'achievement-meta';
         const title = document.createElement('div');
         title.className = 'achievement-title';
-        title.textContent = unlocked ? `✅ ${ach.name}` : `🔒 ${ach.name}`;
+        const name = I18n.content('achievements', ach);
+        title.textContent = unlocked ? `✅ ${name}` : `🔒 ${name}`;
         const desc = document.createElement('div');
         desc.className = 'achievement-desc';
-        desc.textContent = ach.description;
+        desc.textContent = I18n.content('achievements', ach, 'description');
         left.appendChild(title);
         left.appendChild(desc);
+        if (unlocked) {
+          const date = document.createElement('div');
+          date.className = 'achievement-date';
+          date.textContent = I18n.t('achievements.unlockedAt', { date: this.formatDate(this.game.achievements.unlocked.get(ach.id)) });
+          left.appendChild(date);
+        }
 
         const right = document.createElement('div');
         right.className = 'achievement-progress';
-        const target = ach.target || 1;
-        const progress = Math.min(1, (total / target));
+        const progress = this.game.achievements.getRatio(ach);
         const progressTrack = document.createElement('div');
         progressTrack.className = 'progress-track';
+        progressTrack.setAttribute('role', 'progressbar');
+        progressTrack.setAttribute('aria-label', name);
+        progressTrack.setAttribute('aria-valuemin', '0');
+        progressTrack.setAttribute('aria-valuemax', '100');
+        progressTrack.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+        progressTrack.setAttribute('aria-valuetext', this.game.achievements.getProgressText(ach));
         const progressFill = document.createElement('div');
         progressFill.className = 'progress-fill';
         progressFill.style.width = `${Math.round(progress * 100)}%`;
         progressTrack.appendChild(progressFill);
         const progressText = document.createElement('div');
         progressText.className = 'progress-text';
-        progressText.textContent = `${Formatter.formatNumber(Math.floor(total))} / ${Formatter.formatNumber(target)}`;
+        progressText.textContent = this.game.achievements.getProgressText(ach);
         right.appendChild(progressTrack);
         right.appendChild(progressText);
 
@@ -618,7 +1055,8 @@
     renderThemes(container) {
       const box = container || document.getElementById("achievementsBox");
       if (!box) return;
-      box.innerHTML = "<div>Thema's</div><div class='themes-list'></div>";
+      box.innerHTML = "<div></div><div class='themes-list'></div>";
+      box.firstChild.textContent = I18n.t('tab.themes');
       const themesList = box.querySelector('.themes-list');
       for (const t of this.game.themeService.themes) {
         const unlocked = this.game.themeService.unlocked.has(t.id);
@@ -627,15 +1065,17 @@
         row.className = 'theme-row';
         const label = document.createElement('div');
         label.className = 'theme-label';
-        label.textContent = unlocked ? `🎨 ${t.name}` : `🔒 ${t.name}`;
-        label.title = unlocked ? (owned ? `Je bezit ${t.name}` : `Prijs: ${Formatter.formatNumber(t.price)} 🍪`) : `Wordt ontgrendeld bij ${t.unlockAt} cookies`;
+        const name = I18n.content('themes', t);
+        label.textContent = unlocked ? `🎨 ${name}` : `🔒 ${name}`;
+        label.title = unlocked ? (owned ? I18n.t('themes.owned', { name }) : I18n.t('themes.price', { price: t.price })) : I18n.t('themes.unlocksAt', { cookies: t.unlockAt });
 
         const btn = document.createElement('button');
+        btn.dataset.focusKey = `theme-${t.id}`;
         if (!unlocked) {
-          btn.textContent = 'Locked';
+          btn.textContent = I18n.t('themes.locked');
           btn.disabled = true;
         } else if (!owned) {
-          btn.textContent = `Koop ${Formatter.formatNumber(t.price)} 🍪`;
+          btn.textContent = I18n.t('themes.buy', { price: t.price });
           btn.disabled = !this.game.canAfford(t.price);
           btn.className = 'secondary';
           btn.addEventListener('click', () => {
@@ -643,7 +1083,7 @@
             this.renderShopPanel();
           });
         } else {
-          btn.textContent = (this.game.themeService.current === t.id) ? 'Actief' : 'Selecteer';
+          btn.textContent = (this.game.themeService.current === t.id) ? I18n.t('themes.active') : I18n.t('themes.select');
           btn.disabled = false;
           btn.className = 'secondary';
           btn.addEventListener('click', () => {
@@ -658,10 +1098,298 @@
       }
     }
 
+    // renderPrestige: prestige summary, ascend button and the prestige upgrade shop //
+    renderPrestige(container) {
+      const box = container;
+      if (!box) return;
+      const p = this.game.prestige;
+      box.innerHTML = "<div></div><div class='prestige-summary'></div><div class='prestige-list'></div>";
+      box.firstChild.textContent = I18n.t('tab.prestige');
+      const summary = box.querySelector('.prestige-summary');
+      const info = document.createElement('div');
+      info.className = 'prestige-info';
+      info.textContent = I18n.t('prestige.info', { level: p.level, percent: Formatter.formatPercent(p.level * p.bonusPerLevel), chips: p.chips });
+      const pending = document.createElement('div');
+      pending.className = 'prestige-pending';
+      pending.textContent = I18n.t('prestige.pending', { gain: p.getPendingLevels() });
+      const ascendBtn = document.createElement('button');
+      ascendBtn.textContent = I18n.t('prestige.ascend');
+      ascendBtn.dataset.focusKey = 'ascend';
+      ascendBtn.addEventListener('click', () => this.showPrestigeConfirm());
+      summary.appendChild(info);
+      summary.appendChild(pending);
+      summary.appendChild(ascendBtn);
+
+      const list = box.querySelector('.prestige-list');
+      for (const def of p.upgrades) {
+        const owned = p.purchased.has(def.id);
+        const item = document.createElement('div');
+        item.className = 'shop-item';
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        const title = document.createElement('div');
+        title.className = 'title';
+        const name = I18n.content('prestigeUpgrades', def);
+        title.textContent = owned ? `✅ ${name}` : name;
+        const desc = document.createElement('div');
+        desc.className = 'desc';
+        desc.textContent = I18n.content('prestigeUpgrades', def, 'description');
+        const price = document.createElement('div');
+        price.className = 'price';
+        price.textContent = `${Formatter.formatNumber(def.cost)} ✨`;
+        meta.appendChild(title);
+        meta.appendChild(desc);
+        meta.appendChild(price);
+
+        const btn = document.createElement('button');
+        btn.textContent = owned ? I18n.t('prestige.bought') : I18n.t('prestige.buy');
+        btn.dataset.focusKey = `prestige-${def.id}`;
+        btn.disabled = owned || p.chips < def.cost;
+        btn.addEventListener('click', () => {
+          p.purchase(def.id);
+          this.renderShopPanel();
+        });
+        item.appendChild(meta);
+        item.appendChild(btn);
+        list.appendChild(item);
+      }
+    }
+
+    // renderAchievementLog: unlocked achievements in the order they were earned //
+    renderAchievementLog(list) {
+      const log = this.game.achievements.getLog();
+      if (log.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'achievement-desc';
+        empty.textContent = I18n.t('achievements.none');
+        list.appendChild(empty);
+        return;
+      }
+      for (const { achievement, at } of log) {
+        const row = document.createElement('div');
+        row.className = 'achievement-row log-row';
+        const date = document.createElement('div');
+        date.className = 'achievement-date';
+        date.textContent = this.formatDate(at);
+        const title = document.createElement('div');
+        title.className = 'achievement-title';
+        title.textContent = `✅ ${I18n.content('achievements', achievement)}`;
+        row.appendChild(date);
+        row.appendChild(title);
+        list.appendChild(row);
+      }
+    }
+
+    // formatDate: unlock timestamp -> "19-10-2026 14:03" in the active locale (null = unlocked in an older save) //
+    formatDate(at) {
+      if (typeof at !== 'number') return I18n.t('achievements.dateUnknown');
+      return new Date(at).toLocaleString(Formatter.locale, { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    // renderStatistics: build the tab once (rows from UIController.statisticsRows, grouped lifetime / this run) //
+    // plus each building's share of cps; updateStatistics fills in the numbers //
+    renderStatistics(container) {
+      const box = container;
+      if (!box) return;
+      box.innerHTML = '';
+      const title = document.createElement('div');
+      title.textContent = I18n.t('tab.stats');
+      box.appendChild(title);
+      const addList = (subtitleKey, className) => {
+        const subtitle = document.createElement('div');
+        subtitle.className = 'stats-subtitle';
+        subtitle.textContent = I18n.t(subtitleKey);
+        const list = document.createElement('div');
+        list.className = className;
+        box.appendChild(subtitle);
+        box.appendChild(list);
+        return list;
+      };
+      const lists = {
+        lifetime: addList('stats.lifetime', 'stats-list'),
+        run: addList('stats.run', 'stats-list')
+      };
+      for (const [group, field, key] of UIController.statisticsRows) {
+        const row = document.createElement('div');
+        row.className = 'stat-row';
+        row.dataset.stat = field;
+        const l = document.createElement('span');
+        l.className = 'stat-label';
+        l.textContent = I18n.t(key);
+        const v = document.createElement('span');
+        v.className = 'stat-value';
+        row.appendChild(l);
+        row.appendChild(v);
+        lists[group].appendChild(row);
+      }
+
+      const buildings = addList('stats.share', 'stats-list stats-buildings');
+      for (const upg of this.game.upgrades) {
+        const row = document.createElement('div');
+        row.className = 'stat-row stat-building';
+        row.dataset.building = upg.id;
+        const l = document.createElement('span');
+        l.className = 'stat-label';
+        const track = document.createElement('div');
+        track.className = 'progress-track';
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        track.appendChild(fill);
+        const v = document.createElement('span');
+        v.className = 'stat-value';
+        row.appendChild(l);
+        row.appendChild(track);
+        row.appendChild(v);
+        buildings.appendChild(row);
+      }
+      this.updateStatistics(box);
+    }
+
+    // updateStatistics: write the current numbers into the rows; only changed text is touched, //
+    // so the open tab doesn't rebuild every frame and a screen reader keeps its place //
+    updateStatistics(box) {
+      if (!box) return;
+      const st = this.game.getStatistics();
+      const formats = {
+        number: n => Formatter.formatNumber(BigNum.from(n).floor()),
+        decimal: n => Formatter.formatNumber(n),
+        duration: n => Formatter.formatDuration(n)
+      };
+      const set = (el, text) => {
+        if (el && el.textContent !== text) el.textContent = text;
+      };
+      for (const [, field, , format] of UIController.statisticsRows) {
+        const row = box.querySelector(`[data-stat="${field}"]`);
+        if (row) set(row.querySelector('.stat-value'), formats[format](st[field]));
+      }
+      for (const b of st.buildings) {
+        const row = box.querySelector(`[data-building="${b.id}"]`);
+        if (!row) continue;
+        set(row.querySelector('.stat-label'), `${I18n.content('buildings', b)} × ${Formatter.formatNumber(b.count)}`);
+        set(row.querySelector('.stat-value'), Formatter.formatPercent(b.share, 1));
+        row.querySelector('.progress-fill').style.width = `${Math.round(b.share * 100)}%`;
+      }
+    }
+
+    // renderHistory: range/metric buttons and the production graph //
+    renderHistory(container) {
+      const box = container;
+      if (!box) return;
+      box.innerHTML = "<div></div><div class='buy-amounts history-controls'></div><div class='history-chart'></div><div class='history-legend'></div>";
+      box.firstChild.textContent = I18n.t('tab.history');
+      const controls = box.querySelector('.history-controls');
+      const metrics = [
+        { value: 'cookies', label: I18n.t('history.cookies') },
+        { value: 'cps', label: I18n.t('history.cps') },
+        { value: 'cpc', label: I18n.t('history.cpc') }
+      ];
+      const ranges = [
+        { value: 300, label: I18n.t('history.range5m') },
+        { value: 3600, label: I18n.t('history.range1h') },
+        { value: 86400, label: I18n.t('history.range1d') }
+      ];
+      for (const m of metrics) {
+        const b = document.createElement('button');
+        b.className = 'amount-btn mode-btn' + (this.historyMetric === m.value ? ' active' : '');
+        b.textContent = m.label;
+        b.dataset.focusKey = `metric-${m.value}`;
+        b.setAttribute('aria-pressed', String(this.historyMetric === m.value));
+        b.addEventListener('click', () => {
+          this.historyMetric = m.value;
+          this.renderShopPanel();
+        });
+        controls.appendChild(b);
+      }
+      for (const r of ranges) {
+        const b = document.createElement('button');
+        b.className = 'amount-btn' + (this.historyRange === r.value ? ' active' : '');
+        b.textContent = r.label;
+        b.dataset.focusKey = `range-${r.value}`;
+        b.setAttribute('aria-pressed', String(this.historyRange === r.value));
+        b.addEventListener('click', () => {
+          this.historyRange = r.value;
+          this.renderShopPanel();
+        });
+        controls.appendChild(b);
+      }
+      const legend = box.querySelector('.history-legend');
+      for (const [className, key] of [['legend-purchase', 'history.legendPurchase'], ['legend-sell', 'history.legendSell'], ['legend-achievement', 'history.legendAchievement'], ['', 'history.legendTime']]) {
+        const span = document.createElement('span');
+        if (className) span.className = className;
+        span.textContent = I18n.t(key);
+        legend.appendChild(span);
+      }
+      this.renderHistoryChart(box.querySelector('.history-chart'));
+    }
+
+    // renderHistoryChart: SVG line on a log scale (growth is exponential) with purchase/achievement markers //
+    renderHistoryChart(el) {
+      if (!el) return;
+      const range = this.game.history.getRange(this.historyRange);
+      const W = 600, H = 240, pad = 36;
+      const ns = 'http://www.w3.org/2000/svg';
+      const svg = document.createElementNS(ns, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+      svg.setAttribute('class', 'history-svg');
+      svg.setAttribute('role', 'img');
+      const add = (tag, attrs, text) => {
+        const node = document.createElementNS(ns, tag);
+        for (const k of Object.keys(attrs)) node.setAttribute(k, attrs[k]);
+        if (text !== undefined) node.textContent = text;
+        svg.appendChild(node);
+        return node;
+      };
+      el.innerHTML = '';
+      el.appendChild(svg);
+      const points = range.samples.map(sm => ({ t: sm.t, v: BigNum.from(sm[this.historyMetric]) }));
+      if (points.length < 2) {
+        add('text', { x: W / 2, y: H / 2, 'text-anchor': 'middle', class: 'history-empty' }, I18n.t('history.empty'));
+        return;
+      }
+      // log10(1 + v) keeps 0 on the chart //
+      const ys = points.map(p => p.v.add(1).log10());
+      const lowest = ys.indexOf(Math.min(...ys)), highest = ys.indexOf(Math.max(...ys));
+      let min = ys[lowest], max = ys[highest];
+      if (max - min < 1e-9) { min -= 0.5; max += 0.5; }
+      const x = t => pad + (t - range.from) / (range.to - range.from || 1) * (W - pad - 8);
+      const y = l => H - pad + 12 - (l - min) / (max - min) * (H - pad - 8);
+      add('line', { x1: pad, y1: H - pad + 12, x2: W - 8, y2: H - pad + 12, class: 'history-axis' });
+      add('text', { x: pad - 4, y: y(ys[highest]) + 4, 'text-anchor': 'end', class: 'history-label' }, Formatter.formatNumber(points[highest].v));
+      if (highest !== lowest) add('text', { x: pad - 4, y: y(ys[lowest]) + 4, 'text-anchor': 'end', class: 'history-label' }, Formatter.formatNumber(points[lowest].v));
+      for (const m of range.markers) {
+        const mx = x(m.t);
+        const line = add('line', { x1: mx, y1: 8, x2: mx, y2: H - pad + 12, class: `history-marker marker-${m.kind}` });
+        const title = document.createElementNS(ns, 'title');
+        title.textContent = `${this.markerLabel(m)} (${Formatter.formatDuration(m.t)})`;
+        line.appendChild(title);
+      }
+      add('polyline', { points: points.map((p, i) => `${x(p.t).toFixed(1)},${y(ys[i]).toFixed(1)}`).join(' '), class: 'history-line' });
+    }
+
+    // markerLabel: marker text in the current language; older markers only have the stored label //
+    markerLabel(m) {
+      if (m.kind === 'achievement') {
+        const ach = this.game.achievements.achievements.find(a => a.id === m.id);
+        return ach ? I18n.content('achievements', ach) : m.label;
+      }
+      const building = this.game.upgrades.find(u => u.id === m.id);
+      const tech = this.game.techUpgrades.find(u => u.id === m.id);
+      if (!building && !tech) return m.label;
+      const name = building ? I18n.content('buildings', building) : I18n.content('techUpgrades', tech);
+      if (m.kind === 'sell') return I18n.t('history.sold', { name, amount: m.amount });
+      return m.amount > 1 ? `${name} × ${Formatter.formatNumber(m.amount)}` : name;
+    }
+
     updateStats() {
-      this.$.cookies.textContent = Formatter.formatNumber(Math.floor(this.game.state.cookies));
-      this.$.cps.textContent = this.game.cookiesPerSecond.toFixed(1);
+      this.$.cookies.textContent = Formatter.formatNumber(this.game.state.cookies.floor());
+      this.$.cps.textContent = Formatter.formatNumber(this.game.cookiesPerSecond);
       this.$.cpc.textContent = Formatter.formatNumber(this.game.cookiesPerClick);
+      this.updateCombo();
+      // the counters change every frame, so screen readers get a summary now and then instead //
+      if (this.loopStarted && this.announcer) {
+        const totals = I18n.t('a11y.totals', { cookies: this.game.state.cookies.floor(), cps: this.game.cookiesPerSecond });
+        this.announcer.sayEvery('totals', totals, UIController.TOTALS_ANNOUNCE_MS);
+      }
       // prefer the shop-list inside the panel (if present) otherwise fall back //
       const shopList = (this.$.shopSection && this.$.shopSection.querySelector('.shop-list')) || this.$.shop;
       if (shopList) {
@@ -671,27 +1399,123 @@
           const btn = item.querySelector("button");
           const meta = item.querySelector(".meta .title");
           const price = item.querySelector(".meta .price");
-          if (btn) btn.disabled = !this.game.canAfford(upg.getCost());
-          if (meta) meta.textContent = `${upg.name} × ${upg.count}`;
-          if (price) price.textContent = `${Formatter.formatNumber(upg.getCost())} 🍪`;
+          if (meta) meta.textContent = `${I18n.content('buildings', upg)} × ${Formatter.formatNumber(upg.count)}`;
+          this.updateShopRow(upg, price, btn);
+        });
+      }
+      if (this.$.shopSection) {
+        this.$.shopSection.querySelectorAll('.tech-item').forEach(btn => {
+          const tech = this.game.techUpgrades.find(t => t.id === btn.dataset.id);
+          if (tech) btn.disabled = !this.game.canAfford(tech.cost);
         });
       }
+      this.renderBuffs();
       this.renderAchievements();
+      // statistics change every step, so keep the open tab current //
+      if (this.activeTab === 'stats' && this.$.shopSection) this.updateStatistics(this.$.shopSection.querySelector('.panel-content'));
+    }
+
+    // updateCombo: the meter under the cookie; the bar fills towards the next tier and drains with the streak //
+    updateCombo() {
+      const meter = this.$.combo;
+      if (!meter) return;
+      const combo = this.game.combo;
+      const streak = Math.ceil(combo.streak);
+      meter.dataset.tier = String(combo.tier);
+      meter.classList.toggle('idle', streak === 0);
+      meter.querySelector('.combo-label').textContent = streak === 0
+        ? I18n.t('clicker.comboIdle')
+        : I18n.t('clicker.combo', { streak, multiplier: combo.multiplier });
+      meter.querySelector('.combo-fill').style.width = `${Math.round(combo.progress * 100)}%`;
+    }
+
+    // updateFairPlay: the optional badge under the counters; flagged sessions list their reasons in the tooltip //
+    updateFairPlay() {
+      const badge = this.$.fairPlay;
+      if (!badge) return;
+      badge.hidden = !this.game.settings.fairPlayIndicator;
+      const sessions = this.game.integrity.flaggedSessions;
+      badge.classList.toggle('flagged', sessions.length > 0);
+      if (!sessions.length) {
+        badge.textContent = I18n.t('integrity.clean');
+        badge.removeAttribute('title');
+        return;
+      }
+      badge.textContent = I18n.t('integrity.flagged', { count: sessions.length });
+      badge.title = sessions
+        .map(s => `${s.reasons.map(r => this.integrityReason(r)).join(', ')} (${Formatter.formatDuration(s.flaggedAt)})`)
+        .join('\n');
+    }
+
+    integrityReason(reason) {
+      return I18n.t(`integrity.${reason}`, { max: this.game.integrity.config.maxPerSecond });
+    }
+
+    // showGoldenCookie: place a clickable golden cookie at a viewport position (percent) //
+    showGoldenCookie(xPct, yPct) {
+      this.removeGoldenCookie();
+      const el = document.createElement('button');
+      el.id = 'goldenCookie';
+      el.className = 'golden-cookie';
+      el.setAttribute('aria-label', I18n.t('golden.label'));
+      el.textContent = '🍪';
+      el.style.left = `${xPct}%`;
+      el.style.top = `${yPct}%`;
+      el.addEventListener('click', (ev) => this.game.goldenCookies.click({ trusted: ev.isTrusted }));
+      document.body.appendChild(el);
+    }
+
+    removeGoldenCookie() {
+      const el = document.getElementById('goldenCookie');
+      if (el) el.remove();
+    }
+
+    // renderBuffs: countdown chips for running golden cookie effects //
+    renderBuffs() {
+      let bar = document.getElementById('buffBar');
+      const buffs = this.game.goldenCookies.buffs;
+      if (!bar) {
+        if (buffs.length === 0) return;
+        bar = document.createElement('div');
+        bar.id = 'buffBar';
+        bar.className = 'buff-bar';
+        const stats = document.querySelector('.clicker .stats');
+        if (stats) stats.parentNode.insertBefore(bar, stats);
+        else document.body.appendChild(bar);
+      }
+      bar.innerHTML = '';
+      for (const b of buffs) {
+        const chip = document.createElement('div');
+        chip.className = 'buff';
+        const label = document.createElement('span');
+        label.textContent = `${I18n.content('goldenEffects', b)} ×${Formatter.formatNumber(b.multiplier)} · ${Formatter.formatDuration(Math.ceil(b.remaining))}`;
+        const track = document.createElement('div');
+        track.className = 'buff-track';
+        const fill = document.createElement('div');
+        fill.className = 'buff-fill';
+        fill.style.width = `${Math.round((b.remaining / b.duration) * 100)}%`;
+        track.appendChild(fill);
+        chip.appendChild(label);
+        chip.appendChild(track);
+        bar.appendChild(chip);
+      }
     }
 
     // Creates a floating animation element that displays the cookie text: creates a div, positions it in the center //
     // adds random drift and rise, and animates the element with fade-in/out and scale effects //
     // 'el' -> element (HTML element) //
     spawnFloat(text) {
+      if (!this.game.settings.floatText) return;
       const el = document.createElement("div");
       el.className = "float";
+      el.setAttribute('aria-hidden', 'true');
       el.textContent = `${text}🍪`;
       el.style.left = "50%";
       el.style.top = "50%";
       this.$.floatContainer.appendChild(el);
       const duration = 900;
-      const driftX = (Math.random() * 40 - 20); 
-      const rise = 60 + Math.random() * 20;
+      const driftX = this.rng.range(-20, 20);
+      const rise = this.rng.range(60, 80);
       el.animate([
         { transform: "translate(-50%, -50%) translate(0, 0) scale(.9)", opacity: 0 },
         { transform: `translate(-50%, -50%) translate(${driftX * 0.3}px, -${rise * 0.3}px) scale(1)`, opacity: 1, offset: 0.25 },
@@ -700,7 +1524,11 @@
       setTimeout(() => el.remove(), duration + 40);
     }
 
-    toast(message, type) {
+    // toast: short message at the bottom; the notifications setting hides routine ones //
+    // ('important' keeps achievements, unlocks and errors, 'errors' only errors) //
+    toast(message, type, important = false) {
+      const level = this.game.settings.notifications;
+      if (type !== 'danger' && (level === 'errors' || (level === 'important' && !important))) return;
       const el = document.createElement("div");
       el.textContent = message;
       el.style.position = "fixed";
@@ -713,6 +1541,10 @@
       el.style.color = "#0b1029";
       el.style.fontWeight = "800";
       el.style.boxShadow = "0 8px 24px rgba(0,0,0,.4)";
+      // the toast itself is gone before a screen reader gets to it, so it is read from the live region //
+      // only important ones and errors: routine toasts (autosave every few seconds) would never stop talking //
+      el.setAttribute('aria-hidden', 'true');
+      if (this.announcer && (important || type === 'danger')) this.announcer.say(message, type === 'danger');
       document.body.appendChild(el);
       const duration = 1200;
       el.animate([
@@ -724,160 +1556,122 @@
     }
   }
 
-  class AchievementService {
-    constructor(game, ui) {
-      this.game = game;
-      this.ui = ui;
-      // Achievements mapped to theme IDs so unlocking an achievement unlocks a theme //
-      // Each achievement includes a numeric `target` for progress display //
-      this.achievements = [
-        { id: '10k', name: '10.000 Cookies', description: 'Je hebt 10.000 cookies verzameld.', target: 10000, condition: s => s.totalCookies >= 10000, themeId: 't10k' },
-        { id: '50k', name: '50.000 Cookies', description: 'Je hebt 50.000 cookies verzameld.', target: 50000, condition: s => s.totalCookies >= 50000, themeId: 't50k' },
-        { id: '100k', name: '100.000 Cookies', description: 'Je hebt 100.000 cookies verzameld.', target: 100000, condition: s => s.totalCookies >= 100000, themeId: 't100k' },
-        { id: '200k', name: '200.000 Cookies', description: 'Je hebt 200.000 cookies verzameld.', target: 200000, condition: s => s.totalCookies >= 200000, themeId: 't200k' },
-        { id: '500k', name: '500.000 Cookies', description: 'Je hebt 500.000 cookies verzameld.', target: 500000, condition: s => s.totalCookies >= 500000, themeId: 't500k' },
-        { id: '1m', name: '1.000.000 Cookies', description: 'Je hebt 1.000.000 cookies verzameld.', target: 1000000, condition: s => s.totalCookies >= 1000000, themeId: 't1m' },
-        { id: '2m', name: '2.000.000 Cookies', description: 'Je hebt 2.000.000 cookies verzameld.', target: 2000000, condition: s => s.totalCookies >= 2000000, themeId: 't2m' },
-        { id: '5m', name: '5.000.000 Cookies', description: 'Je hebt 5.000.000 cookies verzameld.', target: 5000000, condition: s => s.totalCookies >= 5000000, themeId: 't5m' },
-        { id: '10m', name: '10.000.000 Cookies', description: 'Je hebt 10.000.000 cookies verzameld.', target: 10000000, condition: s => s.totalCookies >= 10000000, themeId: 't10m' }
-      ];
-      this.unlocked = new Set();
-    }
-
-    // checkAchievements: examine achievement conditions and unlock when met //
-    // We also notify the UI so the player sees progress and unlocked themes //
-    checkAchievements() {
-      let unlockedAny = false;
-      for (const ach of this.achievements) {
-        if (!this.unlocked.has(ach.id) && ach.condition(this.game.state)) {
-          this.unlocked.add(ach.id);
-          this.ui.toast(ach.description, "success");
-          try { if (this.ui && typeof this.ui.notifyAchievement === 'function') this.ui.notifyAchievement(ach); } catch (_) {}
-          // if achievement awards a theme, unlock it in ThemeService //
-          try {
-            if (ach.themeId && this.game.themeService) {
-              this.game.themeService.unlocked.add(ach.themeId);
-              this.ui.toast(`Thema ontgrendeld: ${ach.themeId}`, 'success');
-            }
-          } catch (_) {}
-          unlockedAny = true;
-        }
-      }
-      if (unlockedAny) {
-        if (this.ui.renderShopPanel) this.ui.renderShopPanel();
-        else if (this.ui.renderAchievements) this.ui.renderAchievements();
-      }
+  // settingControls: element id -> key in game.settings //
+  UIController.settingControls = [
+    ['soundToggle', 'soundEnabled'],
+    ['floatTextToggle', 'floatText'],
+    ['autosaveToggle', 'autosaveEnabled'],
+    ['autosaveIntervalSelect', 'autosaveIntervalSec'],
+    ['numberFormatSelect', 'numberFormat'],
+    ['notificationsSelect', 'notifications'],
+    ['sellRefundSelect', 'sellRefundRate'],
+    ['languageSelect', 'language'],
+    ['clickIntegritySelect', 'clickIntegrity'],
+    ['fairPlayToggle', 'fairPlayIndicator']
+  ];
+
+  // statisticsRows: [group, field of getStatistics(), label key, format] for the statistics tab //
+  // 'lifetime' rows are the fields in GameState.KEPT_ON_ASCEND; everything else is in 'run', including //
+  // this page visit's play time and the flagged sessions, which are not lifetime totals either //
+  UIController.statisticsRows = [
+    ['lifetime', 'timePlayed', 'stats.timePlayed', 'duration'],
+    ['lifetime', 'lifetimeClicks', 'stats.clicks', 'number'],
+    ['lifetime', 'lifetimeClickCookies', 'stats.clickCookies', 'number'],
+    ['lifetime', 'lifetimePassiveCookies', 'stats.passiveCookies', 'number'],
+    ['lifetime', 'lifetimeCookiesSpent', 'stats.spent', 'number'],
+    ['lifetime', 'bestCps', 'stats.bestCps', 'decimal'],
+    ['lifetime', 'bestCombo', 'stats.bestCombo', 'number'],
+    ['lifetime', 'themesBought', 'stats.themesBought', 'number'],
+    ['run', 'sessionSeconds', 'stats.session', 'duration'],
+    ['run', 'manualClicks', 'stats.clicks', 'number'],
+    ['run', 'clickCookies', 'stats.clickCookies', 'number'],
+    ['run', 'passiveCookies', 'stats.passiveCookies', 'number'],
+    ['run', 'cookiesSpent', 'stats.spent', 'number'],
+    ['run', 'totalBuildings', 'stats.buildings', 'number'],
+    ['run', 'buildingsSold', 'stats.buildingsSold', 'number'],
+    ['run', 'flaggedSessions', 'stats.flaggedSessions', 'number']
+  ];
+
+  // tabs: panel tabs in order; the label is I18n key `tab.<id>` //
+  UIController.tabs = ['shop', 'achievements', 'themes', 'prestige', 'stats', 'history'];
+
+  // keyBindings: key -> shortcut while playing (see runShortcut); digits 1-9 use that shop row //
+  UIController.keyBindings = {
+    ' ': 'click',
+    Enter: 'click',
+    g: 'golden',
+    G: 'golden',
+    '[': 'previousTab',
+    ']': 'nextTab'
+  };
+
+  // live-region summary of cookies and cps at most this often //
+  UIController.TOTALS_ANNOUNCE_MS = 30000;
+
+  // LiveAnnouncer: screen-reader announcements through two visually hidden live regions //
+  // Messages are batched and spaced out (minGapMs), so a burst of toasts is read as one sentence //
+  class LiveAnnouncer {
+    constructor(root, { minGapMs = 1500 } = {}) {
+      this.minGapMs = minGapMs;
+      this.queue = { polite: [], assertive: [] };
+      this.lastAt = -Infinity;
+      this.timer = null;
+      this.lastByKey = new Map();
+      this.regions = {
+        polite: this.createRegion(root, 'status', 'polite'),
+        assertive: this.createRegion(root, 'alert', 'assertive')
+      };
     }
-  }
 
-  class ThemeService {
-    constructor(game, ui) {
-      this.game = game;
-      this.ui = ui;
-      // Expanded theme list including achievement-themed ids //
-      this.themes = [
-        { id: 'default', name: 'Standaard', cssClass: '', unlockAt: 0, price: 0 },
-        { id: 't10k', name: 'Ocean (10k)', cssClass: 'theme-t10k', unlockAt: 10000, price: 2000 },
-        { id: 't50k', name: 'Rood (50k)', cssClass: 'theme-t50k', unlockAt: 50000, price: 20000 },
-        { id: 't100k', name: 'Groen (100k)', cssClass: 'theme-t100k', unlockAt: 100000, price: 50000 },
-        { id: 't200k', name: 'Paars (200k)', cssClass: 'theme-t200k', unlockAt: 200000, price: 100000 },
-        { id: 't500k', name: 'Goud (500k)', cssClass: 'theme-t500k', unlockAt: 500000, price: 200000 },
-        { id: 't1m', name: 'Sky (1M)', cssClass: 'theme-t1m', unlockAt: 1000000, price: 500000 },
-        { id: 't2m', name: 'Rose (2M)', cssClass: 'theme-t2m', unlockAt: 2000000, price: 1000000 },
-        { id: 't5m', name: 'DeepBlue (5M)', cssClass: 'theme-t5m', unlockAt: 5000000, price: 3000000 },
-        { id: 't10m', name: 'Legend (10M)', cssClass: 'theme-t10m', unlockAt: 10000000, price: 10000000 }
-      ];
-      this.unlocked = new Set(['default']);
-      this.owned = new Set(['default']);
-      this.current = 'default';
+    createRegion(root, role, live) {
+      const el = document.createElement('div');
+      el.className = 'sr-only';
+      el.setAttribute('role', role);
+      el.setAttribute('aria-live', live);
+      el.setAttribute('aria-atomic', 'true');
+      root.appendChild(el);
+      return el;
     }
 
-    // checkUnlocks: reveal themes when player reaches their unlock threshold //
-
-    checkUnlocks() {
-      let any = false;
-      for (const t of this.themes) {
-        if (!this.unlocked.has(t.id) && this.game.state.totalCookies >= t.unlockAt) {
-          this.unlocked.add(t.id);
-          any = true;
-          this.ui.toast(`${t.name} thema ontgrendeld — je kunt het nu kopen in 'Thema's'`, 'success');
-        }
-      }
-      if (any) {
-        if (this.ui.renderShopPanel) this.ui.renderShopPanel();
-        else if (this.ui.renderAchievements) this.ui.renderAchievements();
-      }
+    // say: queue a message; assertive (errors) interrupts, polite waits until the reader is idle //
+    say(message, assertive = false) {
+      if (!message) return;
+      const queue = this.queue[assertive ? 'assertive' : 'polite'];
+      if (!queue.includes(message)) queue.push(message);
+      if (!this.timer) this.timer = setTimeout(() => this.flush(), Math.max(0, this.lastAt + this.minGapMs - Date.now()));
     }
 
-    purchaseTheme(id) {
-      const t = this.themes.find(x => x.id === id);
-      if (!t) return false;
-      if (!this.unlocked.has(id)) {
-        this.ui.toast('Thema nog niet ontgrendeld', 'danger');
-        return false;
-      }
-      if (this.owned.has(id)) {
-        this.ui.toast('Je bezit dit thema al', 'success');
-        return false;
-      }
-      if (!this.game.canAfford(t.price)) {
-        this.ui.toast('Niet genoeg cookies', 'danger');
-        return false;
-      }
-      // Deduct and grant ownership //
-      this.game.state.cookies -= t.price;
-      this.owned.add(id);
-      try { this.game.save(); } catch (_) {}
-      // play purchase sound //
-      try { if (this.game.soundService) this.game.soundService.playPurchase(); } catch (_) {}
-      this.ui.toast(`${t.name} thema gekocht!`, 'success');
-      if (this.ui && this.ui.renderShopPanel) this.ui.renderShopPanel();
-      return true;
+    // sayEvery: at most one message per `key` every `intervalMs`, and only when the text changed //
+    sayEvery(key, message, intervalMs) {
+      const last = this.lastByKey.get(key);
+      const now = Date.now();
+      if (last && (last.message === message || now - last.at < intervalMs)) return;
+      this.lastByKey.set(key, { message, at: now });
+      this.say(message);
     }
 
-    applyTheme(id) {
-      const t = this.themes.find(x => x.id === id);
-      if (!t) return;
-      // require ownership to apply (except default) //
-      if (t.id !== 'default' && !this.owned.has(t.id)) {
-        this.ui.toast('Je moet dit thema eerst kopen', 'danger');
-        return;
-      }
-      const body = document.body;
-      for (const th of this.themes) {
-        if (th.cssClass) body.classList.remove(th.cssClass);
+    flush() {
+      this.timer = null;
+      this.lastAt = Date.now();
+      for (const kind of ['assertive', 'polite']) {
+        const messages = this.queue[kind];
+        if (messages.length === 0) continue;
+        this.queue[kind] = [];
+        const region = this.regions[kind];
+        const text = messages.map(m => (/[.!?]$/.test(m) ? m : `${m}.`)).join(' ');
+        // empty first, so the same text twice in a row is read again //
+        region.textContent = '';
+        setTimeout(() => { region.textContent = text; }, 50);
       }
-      if (t.cssClass) body.classList.add(t.cssClass);
-      this.current = id;
-      try {
-        localStorage.setItem('cookie-themes', JSON.stringify({ unlocked: Array.from(this.unlocked), owned: Array.from(this.owned), current: this.current }));
-      } catch (_) {}
-      try { if (this.game.soundService) this.game.soundService.playPurchase(); } catch (_) {}
-    }
-
-    load(data) {
-      if (!data) return;
-      try {
-        if (data.unlocked) this.unlocked = new Set(data.unlocked);
-        if (data.owned) this.owned = new Set(data.owned);
-        if (data.current) this.current = data.current;
-        // apply only if owned or default //
-        if (this.current && (this.current === 'default' || this.owned.has(this.current))) this.applyTheme(this.current);
-      } catch (_) {}
-    }
-
-    reset() {
-      this.unlocked = new Set(['default']);
-      this.owned = new Set(['default']);
-      this.current = 'default';
-      for (const th of this.themes) if (th.cssClass) document.body.classList.remove(th.cssClass);
     }
   }
 
   // Simple WebAudio-based sound service //
+  // Registered as a plugin (`game.use(new SoundService())`): it only listens to game events //
   class SoundService {
-    constructor(game) {
-      this.game = game;
+    constructor() {
+      this.name = 'sound';
+      this.game = null;
       try {
         this.ctx = new (window.AudioContext || window.webkitAudioContext)();
       } catch (_) {
@@ -901,22 +1695,44 @@
       g.gain.exponentialRampToValueAtTime(0.001, now + time);
       o.stop(now + time + 0.02);
     }
-    // playClick / playPurchase: short helper wrappers to play preset tones //
+    // install: plugin hook, returns the cleanup that unsubscribes again //
+    install(game) {
+      this.game = game;
+      const offs = [
+        game.on('click', () => this.playClick()),
+        game.on('purchase', () => this.playPurchase()),
+        game.on('sell', () => this.playSell()),
+        game.on('goldenClick', () => this.playPurchase()),
+        game.on('themeApplied', ({ restored }) => {
+          if (!restored) this.playPurchase();
+        })
+      ];
+      return () => offs.forEach(off => off());
+    }
+
+    // playClick / playPurchase / playSell: short helper wrappers to play preset tones //
     playClick() { this.playTone(880, 0.06, 'sine'); }
     playPurchase() { this.playTone(440, 0.12, 'triangle'); }
+    playSell() { this.playTone(330, 0.12, 'triangle'); }
   }
 
   window.addEventListener("DOMContentLoaded", () => {
-    const game = new CookieClickerGame();
-    // show start screen and wait for user to press Play  //
-    if (game.ui && typeof game.ui.showStartScreen === 'function') {
-      // mount UI so start/settings buttons exist
-      game.ui.mount();
-      // populate settings UI sound toggle from saved settings //
-      if (game.ui.writeSettingsToUI) game.ui.writeSettingsToUI();
-      game.ui.showStartScreen();
-    } else {
-      // fallback: start immediately //
-      game.start();
+    // refuse to start with broken content so designers see what to fix //
+    try {
+      ContentValidator.validate(typeof GAME_CONTENT !== 'undefined' ? GAME_CONTENT : null);
+    } catch (e) {
+      console.error(e);
+      UIController.showFatalError(I18n.t('fatal.content'), e.problems || [e.message]);
+      return;
     }
+    // `?seed=123` replays a run with the same random decisions (bug reports, balancing) //
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    const game = new CookieClickerGame(undefined, seed !== null ? { seed: Number(seed) } : {});
+    game.use(new SoundService());
+    const ui = new UIController(game);
+    // mount UI so start/settings buttons exist, then wait for user to press Play //
+    ui.mount();
+    // populate settings UI sound toggle from saved settings //
+    ui.writeSettingsToUI();
+    ui.showStartScreen();
   });
@@ -0,0 +1,91 @@
+// GAME_CONTENT: all buildings, tech upgrades, achievements, themes and prestige upgrades //
+// Designers can edit this file without touching the classes in engine.js. //
+// It is checked by ContentValidator at startup; see ContentValidator.schema for the fields. //
+//
+// buildings:        { id, name, description, baseCost, growth, cps?, cpc? }
+// techUpgrades:     { id, name, description, cost, requires: { buildingId: count }, effects: [...] }
+//                   effect: { type: 'multiply', target, factor } or { type: 'synergy', target, source, perUnit }
+// achievements:     { id, name, description, type, target?, building?, themeId? }
+//                   type: 'totalCookies', 'goldenClicks', 'manualClicks', 'building' (needs `building`),
+//                   'cps', 'allThemes' (target defaults to every theme), 'timePlayed' (seconds),
+//                   'sessionCookies', 'sessionClicks', 'buildingsSold' or 'bestCombo' (longest click streak)
+//                   (see AchievementService.conditionTypes in engine.js)
+// themes:           { id, name, cssClass, unlockAt, price } (the 'default' theme is required)
+// prestigeUpgrades: { id, name, description, cost, effect: { startCookies?, cps?, cpc?, offline? } }
+const GAME_CONTENT = {
+  buildings: [
+    { id: "cursor", name: "Cursor", description: "+0.1 cps", baseCost: 15, growth: 1.1, cps: 0.1 },
+    { id: "click", name: "Sterkere klik", description: "+1 cpc", baseCost: 50, growth: 1.1, cpc: 1 },
+    { id: "grandma", name: "Oma", description: "+1 cps", baseCost: 100, growth: 1.2, cps: 1 },
+    { id: "farm", name: "Boerderij", description: "+8 cps", baseCost: 1100, growth: 1.2, cps: 8 },
+    { id: "mine", name: "Mijn", description: "+47 cps", baseCost: 12000, growth: 1.3, cps: 47 },
+    { id: "factory", name: "Fabriek", description: "+260 cps", baseCost: 130000, growth: 1.4, cps: 260 }
+  ],
+  techUpgrades: [
+    { id: "reinforced-finger", name: "Versterkte wijsvinger", description: "Cursors zijn 2× zo sterk.", cost: 100, requires: { cursor: 1 }, effects: [{ type: "multiply", target: "cursor", factor: 2 }] },
+    { id: "ambidextrous", name: "Tweehandig", description: "Cursors zijn 2× zo sterk.", cost: 1000, requires: { cursor: 10 }, effects: [{ type: "multiply", target: "cursor", factor: 2 }] },
+    { id: "steel-knuckles", name: "Stalen knokkels", description: "Sterkere klik geeft 2× zoveel.", cost: 500, requires: { click: 5 }, effects: [{ type: "multiply", target: "click", factor: 2 }] },
+    { id: "rolling-pins", name: "Oma's deegrollers", description: "Oma's zijn 2× zo efficiënt.", cost: 1000, requires: { grandma: 1 }, effects: [{ type: "multiply", target: "grandma", factor: 2 }] },
+    { id: "farmer-grandmas", name: "Boerenoma's", description: "Oma's krijgen +1% per boerderij.", cost: 55000, requires: { grandma: 15, farm: 1 }, effects: [{ type: "synergy", target: "grandma", source: "farm", perUnit: 0.01 }] },
+    { id: "fertilizer", name: "Kunstmest", description: "Boerderijen zijn 2× zo efficiënt.", cost: 11000, requires: { farm: 1 }, effects: [{ type: "multiply", target: "farm", factor: 2 }] },
+    { id: "diamond-drills", name: "Diamantboren", description: "Mijnen zijn 2× zo efficiënt.", cost: 120000, requires: { mine: 1 }, effects: [{ type: "multiply", target: "mine", factor: 2 }] },
+    { id: "ore-conveyors", name: "Ertstransport", description: "Fabrieken krijgen +2% per mijn.", cost: 1500000, requires: { mine: 10, factory: 5 }, effects: [{ type: "synergy", target: "factory", source: "mine", perUnit: 0.02 }] },
+    { id: "faster-belts", name: "Snellere lopende banden", description: "Fabrieken zijn 2× zo efficiënt.", cost: 1300000, requires: { factory: 1 }, effects: [{ type: "multiply", target: "factory", factor: 2 }] }
+  ],
+  // unlocking an achievement with a themeId also unlocks that theme //
+  achievements: [
+    { id: '10k', name: '10.000 Cookies', description: 'Je hebt 10.000 cookies verzameld.', type: 'totalCookies', target: 10000, themeId: 't10k' },
+    { id: '50k', name: '50.000 Cookies', description: 'Je hebt 50.000 cookies verzameld.', type: 'totalCookies', target: 50000, themeId: 't50k' },
+    { id: '100k', name: '100.000 Cookies', description: 'Je hebt 100.000 cookies verzameld.', type: 'totalCookies', target: 100000, themeId: 't100k' },
+    { id: '200k', name: '200.000 Cookies', description: 'Je hebt 200.000 cookies verzameld.', type: 'totalCookies', target: 200000, themeId: 't200k' },
+    { id: '500k', name: '500.000 Cookies', description: 'Je hebt 500.000 cookies verzameld.', type: 'totalCookies', target: 500000, themeId: 't500k' },
+    { id: '1m', name: '1.000.000 Cookies', description: 'Je hebt 1.000.000 cookies verzameld.', type: 'totalCookies', target: 1000000, themeId: 't1m' },
+    { id: '2m', name: '2.000.000 Cookies', description: 'Je hebt 2.000.000 cookies verzameld.', type: 'totalCookies', target: 2000000, themeId: 't2m' },
+    { id: '5m', name: '5.000.000 Cookies', description: 'Je hebt 5.000.000 cookies verzameld.', type: 'totalCookies', target: 5000000, themeId: 't5m' },
+    { id: '10m', name: '10.000.000 Cookies', description: 'Je hebt 10.000.000 cookies verzameld.', type: 'totalCookies', target: 10000000, themeId: 't10m' },
+    { id: 'golden1', name: 'Gouden vondst', description: 'Je hebt je eerste gouden cookie geklikt.', type: 'goldenClicks', target: 1 },
+    { id: 'golden7', name: 'Goudzoeker', description: 'Je hebt 7 gouden cookies geklikt.', type: 'goldenClicks', target: 7 },
+    { id: 'golden77', name: 'Gouden handen', description: 'Je hebt 77 gouden cookies geklikt.', type: 'goldenClicks', target: 77 },
+    { id: 'clicks100', name: 'Klikker', description: 'Je hebt 100 keer op de cookie geklikt.', type: 'manualClicks', target: 100 },
+    { id: 'clicks1000', name: 'Kramp in de vinger', description: 'Je hebt 1.000 keer op de cookie geklikt.', type: 'manualClicks', target: 1000 },
+    { id: 'clicks10000', name: 'Klikmachine', description: 'Je hebt 10.000 keer op de cookie geklikt.', type: 'manualClicks', target: 10000 },
+    { id: 'cursor25', name: 'Cursorleger', description: 'Je hebt 25 cursors.', type: 'building', building: 'cursor', target: 25 },
+    { id: 'grandma25', name: 'Oma-club', description: "Je hebt 25 oma's.", type: 'building', building: 'grandma', target: 25 },
+    { id: 'farm10', name: 'Landgoed', description: 'Je hebt 10 boerderijen.', type: 'building', building: 'farm', target: 10 },
+    { id: 'factory10', name: 'Industrieterrein', description: 'Je hebt 10 fabrieken.', type: 'building', building: 'factory', target: 10 },
+    { id: 'cps10', name: 'Op gang', description: 'Je bakt 10 cookies per seconde.', type: 'cps', target: 10 },
+    { id: 'cps100', name: 'Bakkerij', description: 'Je bakt 100 cookies per seconde.', type: 'cps', target: 100 },
+    { id: 'cps1000', name: 'Koekjesfabriek', description: 'Je bakt 1.000 cookies per seconde.', type: 'cps', target: 1000 },
+    { id: 'allThemes', name: 'Verzamelaar', description: "Je hebt alle thema's gekocht.", type: 'allThemes' },
+    { id: 'played1h', name: 'Even spelen', description: 'Je hebt 1 uur gespeeld.', type: 'timePlayed', target: 3600 },
+    { id: 'played10h', name: 'Toegewijd', description: 'Je hebt 10 uur gespeeld.', type: 'timePlayed', target: 36000 },
+    { id: 'session1m', name: 'In één ruk', description: 'Je hebt in één sessie 1.000.000 cookies gebakken.', type: 'sessionCookies', target: 1000000 },
+    { id: 'session500', name: 'Klikmarathon', description: 'Je hebt in één sessie 500 keer geklikt.', type: 'sessionClicks', target: 500 },
+    { id: 'sold10', name: 'Uitverkoop', description: 'Je hebt 10 gebouwen verkocht.', type: 'buildingsSold', target: 10 },
+    { id: 'combo25', name: 'Op dreef', description: 'Je hebt 25 keer op rij geklikt zonder pauze.', type: 'bestCombo', target: 25 },
+    { id: 'combo50', name: 'Kettingreactie', description: 'Je hebt 50 keer op rij geklikt zonder pauze.', type: 'bestCombo', target: 50 },
+    { id: 'combo100', name: 'Onstuitbaar', description: 'Je hebt 100 keer op rij geklikt zonder pauze.', type: 'bestCombo', target: 100 }
+  ],
+  themes: [
+    { id: 'default', name: 'Standaard', cssClass: '', unlockAt: 0, price: 0 },
+    { id: 't10k', name: 'Ocean (10k)', cssClass: 'theme-t10k', unlockAt: 10000, price: 2000 },
+    { id: 't50k', name: 'Rood (50k)', cssClass: 'theme-t50k', unlockAt: 50000, price: 20000 },
+    { id: 't100k', name: 'Groen (100k)', cssClass: 'theme-t100k', unlockAt: 100000, price: 50000 },
+    { id: 't200k', name: 'Paars (200k)', cssClass: 'theme-t200k', unlockAt: 200000, price: 100000 },
+    { id: 't500k', name: 'Goud (500k)', cssClass: 'theme-t500k', unlockAt: 500000, price: 200000 },
+    { id: 't1m', name: 'Sky (1M)', cssClass: 'theme-t1m', unlockAt: 1000000, price: 500000 },
+    { id: 't2m', name: 'Rose (2M)', cssClass: 'theme-t2m', unlockAt: 2000000, price: 1000000 },
+    { id: 't5m', name: 'DeepBlue (5M)', cssClass: 'theme-t5m', unlockAt: 5000000, price: 3000000 },
+    { id: 't10m', name: 'Legend (10M)', cssClass: 'theme-t10m', unlockAt: 10000000, price: 10000000 }
+  ],
+  prestigeUpgrades: [
+    { id: 'heavenly-start', name: 'Hemelse start', description: 'Begin elke run met 1.000 cookies.', cost: 1, effect: { startCookies: 1000 } },
+    { id: 'divine-finger', name: 'Goddelijke vinger', description: '+10% cookies per klik.', cost: 3, effect: { cpc: 0.1 } },
+    { id: 'angel-bakery', name: 'Engelenbakkerij', description: '+10% cookies per seconde.', cost: 5, effect: { cps: 0.1 } },
+    { id: 'dream-oven', name: 'Droomoven', description: '+25% offline productie.', cost: 10, effect: { offline: 0.25 } },
+    { id: 'heavenly-vault', name: 'Hemelse kluis', description: 'Begin elke run met 100.000 cookies.', cost: 25, effect: { startCookies: 100000 } }
+  ]
+};
+
+// Node / test runners: `require('./content.js')` //
+if (typeof module !== 'undefined' && module.exports) module.exports = { GAME_CONTENT };
@@ -0,0 +1,2382 @@
+// engine.js: the game engine (state, upgrades, achievements, themes, save/load) //
+// No DOM access here, so it also runs in Node; app.js is the browser UI on top of it //
+  // EventEmitter: minimal on/off/emit used by the engine to report changes //
+  class EventEmitter {
+    constructor() {
+      this.listeners = {};
+    }
+
+    // on: subscribe to an event, returns a function that unsubscribes //
+    on(name, fn) {
+      (this.listeners[name] = this.listeners[name] || []).push(fn);
+      return () => this.off(name, fn);
+    }
+
+    off(name, fn) {
+      const list = this.listeners[name];
+      if (list) this.listeners[name] = list.filter(f => f !== fn);
+    }
+
+    // emit: call listeners in order; one failing listener doesn't stop the others //
+    emit(name, payload) {
+      for (const fn of (this.listeners[name] || []).slice()) {
+        try {
+          fn(payload);
+        } catch (err) {
+          console.error(err);
+        }
+      }
+    }
+  }
+
+  // RandomService: seedable PRNG (mulberry32); the same seed gives the same sequence //
+  // Every random decision in the simulation goes through `game.rng` so runs can be replayed //
+  class RandomService {
+    constructor(seed = RandomService.randomSeed()) {
+      this.setSeed(seed);
+    }
+
+    static randomSeed() {
+      return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    setSeed(seed) {
+      this.seed = Number(seed) >>> 0;
+      this.state = this.seed;
+    }
+
+    // next: float in [0, 1) //
+    next() {
+      this.state = (this.state + 0x6D2B79F5) >>> 0;
+      let t = this.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // range: float in [min, max) //
+    range(min, max) {
+      return min + this.next() * (max - min);
+    }
+  }
+
+  // RingBuffer: fixed-size list that overwrites the oldest entry when full //
+  class RingBuffer {
+    constructor(capacity) {
+      this.capacity = capacity;
+      this.items = [];
+      this.start = 0; // index of the oldest item once the buffer is full //
+    }
+
+    push(item) {
+      if (this.items.length < this.capacity) {
+        this.items.push(item);
+      } else {
+        this.items[this.start] = item;
+        this.start = (this.start + 1) % this.capacity;
+      }
+    }
+
+    // toArray: items from oldest to newest //
+    toArray() {
+      return this.items.slice(this.start).concat(this.items.slice(0, this.start));
+    }
+
+    get length() {
+      return this.items.length;
+    }
+
+    clear() {
+      this.items = [];
+      this.start = 0;
+    }
+
+    toJSON() {
+      return this.toArray();
+    }
+
+    // fromJSON: refill from a saved array, keeping only the newest `capacity` items //
+    static fromJSON(list, capacity) {
+      const buf = new RingBuffer(capacity);
+      for (const item of Array.isArray(list) ? list.slice(-capacity) : []) buf.push(item);
+      return buf;
+    }
+  }
+
+  // BigNum: immutable big number for cookie amounts (mantissa * 10^exponent) //
+  // Values below 1e15 are kept as a plain exact Number (exponent 0), so normal play //
+  // has no rounding; bigger values switch to a normalized mantissa (1 <= |m| < 10). //
+  class BigNum {
+    constructor(mantissa = 0, exponent = 0) {
+      let m = Number(mantissa);
+      let e = Math.floor(Number(exponent)) || 0;
+      if (!isFinite(m) || m === 0) {
+        m = 0;
+        e = 0;
+      } else if (e !== 0 || Math.abs(m) >= BigNum.SMALL_LIMIT) {
+        const shift = Math.floor(Math.log10(Math.abs(m)));
+        m /= Math.pow(10, shift);
+        e += shift;
+        if (Math.abs(m) >= 10) { m /= 10; e += 1; }
+        // back to the exact small form when the value fits //
+        if (e < 15) {
+          m = m * Math.pow(10, e);
+          e = 0;
+        }
+      }
+      this.m = m;
+      this.e = e;
+    }
+
+    // from: accept BigNum, Number, "1.5e40" strings or { m, e } objects (saves) //
+    static from(value) {
+      if (value instanceof BigNum) return value;
+      if (typeof value === 'number') return new BigNum(value, 0);
+      if (typeof value === 'string') {
+        const [m, e] = value.toLowerCase().split('e');
+        return new BigNum(parseFloat(m), parseInt(e || '0', 10));
+      }
+      if (value && typeof value === 'object') return new BigNum(value.m, value.e);
+      return new BigNum(0, 0);
+    }
+
+    // fromLog10: build from a base-10 logarithm (used for huge costs) //
+    static fromLog10(log) {
+      const e = Math.floor(log);
+      return new BigNum(Math.pow(10, log - e), e);
+    }
+
+    isSmall() { return this.e === 0; }
+    isZero() { return this.m === 0; }
+
+    // parts: normalized { m, e } also for small values //
+    parts() {
+      if (!this.isSmall() || this.m === 0) return { m: this.m, e: this.e };
+      let e = Math.floor(Math.log10(Math.abs(this.m)));
+      let m = this.m / Math.pow(10, e);
+      if (Math.abs(m) >= 10) { m /= 10; e += 1; }
+      return { m, e };
+    }
+
+    add(other) {
+      const o = BigNum.from(other);
+      if (this.isSmall() && o.isSmall()) return new BigNum(this.m + o.m, 0);
+      if (o.isZero()) return this;
+      if (this.isZero()) return o;
+      const a = this.parts();
+      const b = o.parts();
+      // the smaller side is below double precision, keep the larger one //
+      if (a.e - b.e > 17) return this;
+      if (b.e - a.e > 17) return o;
+      if (a.e >= b.e) return new BigNum(a.m + b.m * Math.pow(10, b.e - a.e), a.e);
+      return new BigNum(b.m + a.m * Math.pow(10, a.e - b.e), b.e);
+    }
+
+    sub(other) {
+      const o = BigNum.from(other);
+      return this.add(new BigNum(-o.m, o.e));
+    }
+
+    mul(other) {
+      const o = BigNum.from(other);
+      if (this.isSmall() && o.isSmall() && isFinite(this.m * o.m)) return new BigNum(this.m * o.m, 0);
+      const a = this.parts();
+      const b = o.parts();
+      return new BigNum(a.m * b.m, a.e + b.e);
+    }
+
+    div(other) {
+      const o = BigNum.from(other);
+      if (o.isZero()) return new BigNum(0, 0);
+      if (this.isSmall() && o.isSmall()) return new BigNum(this.m / o.m, 0);
+      const a = this.parts();
+      const b = o.parts();
+      return new BigNum(a.m / b.m, a.e - b.e);
+    }
+
+    floor() {
+      return this.isSmall() ? new BigNum(Math.floor(this.m), 0) : this;
+    }
+
+    // cmp: -1, 0 or 1 like a sort comparator //
+    cmp(other) {
+      const o = BigNum.from(other);
+      if (this.isSmall() && o.isSmall()) return this.m === o.m ? 0 : (this.m < o.m ? -1 : 1);
+      const sa = Math.sign(this.m);
+      const sb = Math.sign(o.m);
+      if (sa !== sb) return sa < sb ? -1 : 1;
+      const a = this.parts();
+      const b = o.parts();
+      let c = a.e === b.e ? (a.m === b.m ? 0 : (a.m < b.m ? -1 : 1)) : (a.e < b.e ? -1 : 1);
+      // for negative values a bigger exponent means a smaller number //
+      if (a.e !== b.e && sa < 0) c = -c;
+      return c;
+    }
+
+    gte(other) { return this.cmp(other) >= 0; }
+    gt(other) { return this.cmp(other) > 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+
+    // log10: base-10 logarithm (for prestige and progress calculations) //
+    log10() {
+      const { m, e } = this.parts();
+      return Math.log10(Math.abs(m)) + e;
+    }
+
+    // toNumber: plain Number (Infinity when too big for a double) //
+    toNumber() {
+      return this.isSmall() ? this.m : this.m * Math.pow(10, this.e);
+    }
+
+    toString() {
+      return this.isSmall() ? this.m.toString() : `${this.m}e${this.e}`;
+    }
+
+    // toJSON: plain number while small (old saves stay readable), "m e" string when big //
+    toJSON() {
+      return this.isSmall() ? this.m : this.toString();
+    }
+  }
+  BigNum.SMALL_LIMIT = 1e15;
+
+  // Formatter: small helper for showing large numbers nicely //
+  class Formatter {
+    // formatNumber: Number or BigNum -> text in the chosen format (Formatter.numberFormat) and locale //
+    // 'short' 1,50K · 'full' 1.234.567 · 'scientific' 1,23e7 · 'engineering' 12,3e6 //
+    // values under 1000 look the same in every format, with at most two decimals ("0,25", "12,5") //
+    static formatNumber(value) {
+      let big = BigNum.from(value);
+      // round to the decimals shown first; 999,99 becomes "1,00K" and not "1.000" //
+      if (big.lt(1000)) {
+        const rounded = Formatter.roundSmall(big.toNumber());
+        if (Math.abs(rounded) < 1000) return Formatter.formatSmall(big.toNumber());
+        big = BigNum.from(rounded);
+      }
+      const { m, e } = big.parts();
+      const format = Formatter.numberFormat;
+      const scientific = () => {
+        // round to the two decimals shown first; 9,996 becomes 1,00 with the next exponent, not "10,00" //
+        const rounded = Number(m.toFixed(2));
+        return rounded >= 10 ? `${Formatter.intl(2, 2).format(rounded / 10)}e${e + 1}` : `${Formatter.intl(2, 2).format(rounded)}e${e}`;
+      };
+      if (format === 'full') return e < Formatter.FULL_MAX_EXP ? Formatter.intl(0, 0).format(Math.floor(big.toNumber())) : scientific();
+      if (format === 'scientific') return scientific();
+      // short and engineering both group the exponent in threes //
+      const { n, exp, digits } = Formatter.group(m, e);
+      const mantissa = Formatter.intl(digits, digits).format(n);
+      if (format === 'engineering') return `${mantissa}e${exp}`;
+      const unitIndex = exp / 3;
+      if (unitIndex >= Formatter.units.length) return scientific();
+      return `${mantissa}${Formatter.units[unitIndex]}`;
+    }
+
+    // group: m × 10^e -> n (1..999, rounded to the digits shown) × 10^exp with exp a multiple of three //
+    // a carry moves to the next group, so 999.999 is "1,00M" and not "1.000K" //
+    static group(m, e) {
+      const digitsFor = x => (x >= 100 ? 0 : x >= 10 ? 1 : 2);
+      let exp = e - (e % 3);
+      let n = m * Math.pow(10, e % 3);
+      n = Number(n.toFixed(digitsFor(n)));
+      if (n >= 1000) {
+        n /= 1000;
+        exp += 3;
+      }
+      return { n, exp, digits: digitsFor(n) };
+    }
+
+    // formatSmall: numbers under 1000; whole numbers stay whole, fractions get 1-2 decimals //
+    static formatSmall(n) {
+      return Formatter.intl(0, Formatter.smallDigits(n)).format(n);
+    }
+
+    // smallDigits: decimals formatSmall shows for n; roundSmall: n rounded to them //
+    static smallDigits(n) {
+      const abs = Math.abs(n);
+      return Number.isInteger(n) ? 0 : abs < 1 ? 2 : abs < 100 ? 1 : 0;
+    }
+
+    static roundSmall(n) {
+      return Number(n.toFixed(Formatter.smallDigits(n)));
+    }
+
+    // formatPercent: 0.125 -> "12,5%" //
+    static formatPercent(ratio, digits = 0) {
+      return `${Formatter.intl(0, digits).format(ratio * 100)}%`;
+    }
+
+    // intl: cached Intl.NumberFormat for the active locale //
+    static intl(minDigits, maxDigits) {
+      const key = `${Formatter.locale}|${minDigits}|${maxDigits}`;
+      if (!Formatter.cache[key]) {
+        Formatter.cache[key] = new Intl.NumberFormat(Formatter.locale, { minimumFractionDigits: minDigits, maximumFractionDigits: maxDigits });
+      }
+      return Formatter.cache[key];
+    }
+
+    // formatDuration: turn seconds -> "2u 5m" / "3m 12s" (short readable time span, units from I18n) //
+    static formatDuration(seconds) {
+      const total = Math.max(0, Math.floor(seconds));
+      const h = Math.floor(total / 3600);
+      const m = Math.floor((total % 3600) / 60);
+      const s = total % 60;
+      if (h > 0) return I18n.t('time.hours', { h, m });
+      if (m > 0) return I18n.t('time.minutes', { m, s });
+      return I18n.t('time.seconds', { s });
+    }
+  }
+  Formatter.units = ["", "K", "M", "B", "T", "Qa", "Qi", "Sx", "Sp", "Oc", "No", "Dc",
+    "Ud", "Dd", "Td", "Qad", "Qid", "Sxd", "Spd", "Ocd", "Nod", "Vg"];
+  // numberFormat: 'short', 'full', 'scientific' or 'engineering', set from the game settings //
+  Formatter.numberFormat = 'short';
+  // locale: decimal and grouping separators ("1.234,5" in Dutch) //
+  Formatter.locale = 'nl-NL';
+  // 'full' writes out every digit up to this exponent, then switches to scientific //
+  Formatter.FULL_MAX_EXP = 18;
+  Formatter.cache = {};
+
+  // I18n: translated texts from the catalogs in locales.js //
+  // t('theme.bought', { name }) looks the key up in the active language, then in Dutch; //
+  // `{name}` placeholders are filled from params, numbers and BigNums through Formatter.formatNumber //
+  class I18n {
+    static t(key, params = {}, fallback) {
+      let text = I18n.lookup(I18n.language, key);
+      if (text === undefined) text = I18n.lookup(I18n.fallbackLanguage, key);
+      if (text === undefined) text = fallback !== undefined ? fallback : key;
+      return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' || value instanceof BigNum ? Formatter.formatNumber(value) : String(value);
+      });
+    }
+
+    static lookup(language, key) {
+      const catalog = I18n.catalogs[language];
+      if (!catalog || !catalog.messages || !Object.prototype.hasOwnProperty.call(catalog.messages, key)) return undefined;
+      return catalog.messages[key];
+    }
+
+    // content: translated field of a content entry (building, achievement, theme ...) //
+    // GAME_CONTENT is written in Dutch, so the entry's own field is the fallback //
+    static content(section, entry, field = 'name') {
+      const catalog = I18n.catalogs[I18n.language];
+      const byId = catalog && catalog.content && catalog.content[section];
+      const texts = byId && byId[entry.id];
+      return texts && typeof texts[field] === 'string' ? texts[field] : entry[field];
+    }
+
+    static has(language) {
+      return typeof language === 'string' && Object.prototype.hasOwnProperty.call(I18n.catalogs, language);
+    }
+
+    // setLanguage: switch texts and the number/date locale; unknown languages are ignored //
+    static setLanguage(language) {
+      if (!I18n.has(language)) return false;
+      I18n.language = language;
+      Formatter.locale = I18n.catalogs[language].locale || Formatter.locale;
+      return true;
+    }
+
+    // languages: [{ id, name }] for a language picker //
+    static languages() {
+      return Object.keys(I18n.catalogs).map(id => ({ id, name: I18n.catalogs[id].name || id }));
+    }
+  }
+  // catalogs: LOCALES from locales.js (a global in the browser, required under Node) //
+  I18n.catalogs = typeof LOCALES !== 'undefined' ? LOCALES
+    : (typeof require === 'function' ? require('./locales.js').LOCALES : {});
+  I18n.language = 'nl';
+  I18n.fallbackLanguage = 'nl';
+
+  // Upgrade: represents a buyable item in shop(cursor, grandma, etc.) //
+  class Upgrade {
+    // constructor: create an upgrade with its properties //
+    constructor({ id, name, description, baseCost, growth, cps, cpc }) {
+      this.id = id;
+      this.name = name;
+      this.description = description;
+      this.baseCost = baseCost;
+      this.growth = growth;
+      this.count = 0;
+      this.cps = cps || 0; 
+      this.cpc = cpc || 0; 
+    }
+
+    // getCost: cost increases with how many we own (BigNum) //
+    // huge counts are computed in log space so the price never becomes Infinity //
+    getCost(count = this.count) {
+      const raw = this.baseCost * Math.pow(this.growth, count);
+      if (isFinite(raw) && raw < BigNum.SMALL_LIMIT) return new BigNum(Math.floor(raw), 0);
+      return BigNum.fromLog10(Math.log10(this.baseCost) + count * Math.log10(this.growth));
+    }
+
+    // getCostFor: total price of `amount` units bought from `count` on (closed form of the geometric series) //
+    // sum = cost * (growth^amount - 1) / (growth - 1) //
+    getCostFor(amount, count = this.count) {
+      if (amount <= 0) return new BigNum(0);
+      if (amount === 1) return this.getCost(count);
+      const raw = this.baseCost * Math.pow(this.growth, count) * (Math.pow(this.growth, amount) - 1) / (this.growth - 1);
+      if (isFinite(raw) && raw < BigNum.SMALL_LIMIT) return new BigNum(Math.floor(raw), 0);
+      const lg = Math.log10(this.growth);
+      // log10(growth^amount - 1), without overflowing growth^amount //
+      const seriesLog = amount * lg > 15 ? amount * lg : Math.log10(Math.pow(this.growth, amount) - 1);
+      return BigNum.fromLog10(Math.log10(this.baseCost) + count * lg + seriesLog - Math.log10(this.growth - 1));
+    }
+
+    // getRefundFor: what selling the last `amount` owned units gives back at `rate` (0..1) //
+    getRefundFor(amount, rate) {
+      const n = Math.min(amount, this.count);
+      if (n <= 0) return new BigNum(0);
+      return this.getCostFor(n, this.count - n).mul(rate).floor();
+    }
+
+    // getMaxAffordable: how many units `cookies` can buy (inverse of getCostFor) //
+    getMaxAffordable(cookies) {
+      const have = BigNum.from(cookies).floor();
+      if (have.lt(this.getCost())) return 0;
+      const lg = Math.log10(this.growth);
+      // cookies * (growth - 1) / cost = growth^n - 1 //
+      const ratioLog = have.log10() - (Math.log10(this.baseCost) + this.count * lg) + Math.log10(this.growth - 1);
+      let n = ratioLog > 15 ? Math.floor(ratioLog / lg) : Math.floor(Math.log10(Math.pow(10, ratioLog) + 1) / lg);
+      n = Math.max(1, n);
+      // correct float rounding at the boundary //
+      while (n > 1 && have.lt(this.getCostFor(n))) n--;
+      if (have.gte(this.getCostFor(n + 1))) n++;
+      return n;
+    }
+
+    toJSON() {
+      return {
+        id: this.id,
+        count: this.count
+      };
+    }
+  }
+
+  // TechUpgrade: one-time upgrade that boosts buildings once you own enough of them //
+  // effects: { type: 'multiply', target, factor } or { type: 'synergy', target, source, perUnit } //
+  class TechUpgrade {
+    constructor({ id, name, description, cost, requires, effects }) {
+      this.id = id;
+      this.name = name;
+      this.description = description;
+      this.cost = cost;
+      this.requires = requires || {}; // { buildingId: count } //
+      this.effects = effects || [];
+      this.purchased = false;
+    }
+
+    // isUnlocked: all required building counts are owned //
+    isUnlocked(upgrades) {
+      for (const id of Object.keys(this.requires)) {
+        const u = upgrades.find(x => x.id === id);
+        if (!u || u.count < this.requires[id]) return false;
+      }
+      return true;
+    }
+  }
+
+  // GameState:(cookies, totals) //
+  class GameState {
+    constructor() {
+      this.cookies = new BigNum(0); // current cookies //
+      this.totalCookies = new BigNum(0); // total (for achievements) //
+      this.manualClicks = 0; // times clicked //
+      this.goldenClicks = 0; // golden cookies clicked //
+      this.buildingsSold = 0; // units sold back in the shop //
+      this.lastSavedAt = 0; // timestamp last saved //
+      // statistics //
+      this.timePlayed = 0; // seconds simulated while playing //
+      this.clickCookies = new BigNum(0); // earned by clicking //
+      this.passiveCookies = new BigNum(0); // earned by buildings (also offline) //
+      this.cookiesSpent = new BigNum(0); // spent on buildings, tech and themes //
+      this.themesBought = 0;
+      this.bestCps = 0; // highest cookies per second reached //
+      this.bestCombo = 0; // longest click streak (ComboService) //
+      // totals over every run; the counters above start over when ascending //
+      this.lifetimeClicks = 0;
+      this.lifetimeClickCookies = new BigNum(0);
+      this.lifetimePassiveCookies = new BigNum(0);
+      this.lifetimeCookiesSpent = new BigNum(0);
+    }
+
+    // fromJSON: rebuild state from a save (cookie amounts become BigNums again) //
+    static fromJSON(data) {
+      const state = new GameState();
+      Object.assign(state, data || {});
+      for (const key of GameState.BIG_KEYS) state[key] = BigNum.from(state[key]);
+      return state;
+    }
+  }
+
+  // fields stored as BigNum //
+  GameState.BIG_KEYS = ['cookies', 'totalCookies', 'clickCookies', 'passiveCookies', 'cookiesSpent',
+    'lifetimeClickCookies', 'lifetimePassiveCookies', 'lifetimeCookiesSpent'];
+  // lifetime statistics that survive ascending //
+  GameState.KEPT_ON_ASCEND = ['timePlayed', 'themesBought', 'bestCps', 'bestCombo',
+    'lifetimeClicks', 'lifetimeClickCookies', 'lifetimePassiveCookies', 'lifetimeCookiesSpent'];
+
+  // MemoryStorage: in-memory stand-in for localStorage (Node, tests, blocked storage) //
+  class MemoryStorage {
+    constructor() {
+      this.items = new Map();
+    }
+
+    getItem(key) {
+      return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+      this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+      this.items.delete(key);
+    }
+  }
+
+  // StorageService: tiny wrapper around localStorage for JSON saving/loading //
+  // `StorageService.backend` can be swapped (MemoryStorage when there is no browser) //
+  class StorageService {
+    // save: store object under a key
+    static save(key, data) {
+      try {
+        StorageService.backend.setItem(key, JSON.stringify(data));
+      } catch (e) {
+        // ignore storage errors for now
+      }
+    }
+
+    // load: read JSON and parse, return fallback if missing //
+    static load(key, fallback) {
+      try {
+        const raw = StorageService.backend.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+      } catch (_) {
+        return fallback;
+      }
+    }
+
+    // loadRaw / saveRaw: unparsed strings (used for save backups) //
+    static loadRaw(key) {
+      try {
+        return StorageService.backend.getItem(key);
+      } catch (_) {
+        return null;
+      }
+    }
+
+    static saveRaw(key, raw) {
+      try {
+        StorageService.backend.setItem(key, raw);
+        return true;
+      } catch (_) {
+        return false;
+      }
+    }
+
+    static remove(key) {
+      try {
+        StorageService.backend.removeItem(key);
+      } catch (_) {}
+    }
+  }
+
+  StorageService.backend = (() => {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage();
+    } catch (_) {
+      return new MemoryStorage();
+    }
+  })();
+
+  // SaveSlotService: named save slots; the index lives in `cookie-clicker-slots` //
+  // The first slot ('main') keeps the original `cookie-clicker-oop` key so old saves show up //
+  // Slots without a name of their own store `name: null` and their number; nameOf translates that on display //
+  class SaveSlotService {
+    constructor() {
+      const index = StorageService.load(SaveSlotService.INDEX_KEY, null);
+      this.slots = index && Array.isArray(index.slots) ? index.slots : [];
+      if (this.slots.length === 0) this.slots.push({ id: 'main', name: null, number: 1, summary: null });
+      this.activeId = index && this.get(index.activeId) ? index.activeId : this.slots[0].id;
+    }
+
+    get(id) {
+      return this.slots.find(s => s.id === id) || null;
+    }
+
+    // nameOf: the name the player gave, or "Slot n" in the current language //
+    nameOf(slot) {
+      return slot.name || I18n.t('slots.default', { n: slot.number || 1 });
+    }
+
+    // keyFor: localStorage key holding a slot's save //
+    keyFor(id) {
+      return id === 'main' ? SaveSlotService.LEGACY_KEY : `${SaveSlotService.LEGACY_KEY}-slot-${id}`;
+    }
+
+    persist() {
+      StorageService.save(SaveSlotService.INDEX_KEY, { activeId: this.activeId, slots: this.slots });
+    }
+
+    setActive(id) {
+      if (!this.get(id)) return false;
+      this.activeId = id;
+      this.persist();
+      return true;
+    }
+
+    // create: add an empty slot; it becomes the active one unless `activate` is false //
+    create(name, activate = true) {
+      const slot = { id: `s${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`, name: name || null, number: this.slots.length + 1, summary: null };
+      this.slots.push(slot);
+      if (activate) this.activeId = slot.id;
+      this.persist();
+      return slot;
+    }
+
+    rename(id, name) {
+      const slot = this.get(id);
+      if (!slot || !name) return false;
+      slot.name = name;
+      this.persist();
+      return true;
+    }
+
+    // duplicate: copy the raw save and summary into a new slot; the active slot stays the same //
+    duplicate(id) {
+      const source = this.get(id);
+      if (!source) return null;
+      const copy = this.create(I18n.t('slots.copy', { name: this.nameOf(source) }), false);
+      copy.summary = source.summary ? Object.assign({}, source.summary) : null;
+      const raw = StorageService.loadRaw(this.keyFor(id));
+      if (raw) StorageService.saveRaw(this.keyFor(copy.id), raw);
+      this.persist();
+      return copy;
+    }
+
+    // remove: delete a slot and its save; there is always at least one slot left //
+    remove(id) {
+      if (!this.get(id)) return false;
+      StorageService.remove(this.keyFor(id));
+      this.slots = this.slots.filter(s => s.id !== id);
+      if (this.slots.length === 0) this.slots.push({ id: 'main', name: null, number: 1, summary: null });
+      if (!this.get(this.activeId)) this.activeId = this.slots[0].id;
+      this.persist();
+      return true;
+    }
+
+    // updateSummary: numbers shown in the slot picker (written on every save) //
+    updateSummary(id, summary) {
+      const slot = this.get(id);
+      if (!slot) return;
+      slot.summary = summary;
+      this.persist();
+    }
+
+    // getSummary: stored summary, or cookies/last save read from the save itself (older saves) //
+    getSummary(id) {
+      const slot = this.get(id);
+      if (!slot) return null;
+      if (slot.summary) return slot.summary;
+      const data = StorageService.load(this.keyFor(id), null);
+      if (!data || !data.state) return null;
+      return { cookies: data.state.cookies, cps: null, lastPlayedAt: data.state.lastSavedAt || null };
+    }
+  }
+
+  SaveSlotService.INDEX_KEY = 'cookie-clicker-slots';
+  SaveSlotService.LEGACY_KEY = 'cookie-clicker-oop';
+
+  // SaveMigrationError: a save could not be parsed or upgraded to the current version //
+  class SaveMigrationError extends Error {
+    constructor(message, cause) {
+      super(message);
+      this.name = 'SaveMigrationError';
+      this.cause = cause;
+    }
+  }
+
+  // SaveMigrator: upgrades old saves step by step to SaveMigrator.CURRENT_VERSION //
+  // and cleans up ids that no longer exist in the content //
+  class SaveMigrator {
+    // migrate: parsed save -> save in the current format, throws SaveMigrationError //
+    static migrate(data, content) {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new SaveMigrationError('Save is not an object');
+      }
+      let out = JSON.parse(JSON.stringify(data));
+      let version = typeof out.version === 'number' ? out.version : 1;
+      if (version > SaveMigrator.CURRENT_VERSION) {
+        throw new SaveMigrationError(`Save version ${version} is newer than this game (${SaveMigrator.CURRENT_VERSION})`);
+      }
+      for (const m of SaveMigrator.migrations) {
+        if (m.version <= version) continue;
+        try {
+          out = m.up(out) || out;
+        } catch (e) {
+          throw new SaveMigrationError(`Migration to version ${m.version} failed: ${e.message}`, e);
+        }
+        version = m.version;
+      }
+      out.version = version;
+      return SaveMigrator.sanitize(SaveMigrator.applyDefaults(out), content);
+    }
+
+    // applyDefaults: fill fields that were added after a save was written //
+    static applyDefaults(data) {
+      const defaults = SaveMigrator.defaults();
+      for (const key of Object.keys(defaults)) {
+        if (data[key] === undefined || data[key] === null) data[key] = defaults[key];
+      }
+      data.state = Object.assign(defaults.state, data.state);
+      data.themes = Object.assign(defaults.themes, data.themes);
+      return data;
+    }
+
+    // sanitize: apply renames and drop upgrades, tech and themes that no longer exist //
+    static sanitize(data, content) {
+      const rename = (map, id) => (map && map[id]) || id;
+      const buildingIds = new Set(content.buildings.map(b => b.id));
+      const counts = {};
+      for (const saved of Array.isArray(data.upgrades) ? data.upgrades : []) {
+        if (!saved) continue;
+        const id = rename(SaveMigrator.renames.upgrades, saved.id);
+        if (!buildingIds.has(id)) continue;
+        // a rename can merge two old entries into one //
+        counts[id] = (counts[id] || 0) + Math.max(0, Math.floor(Number(saved.count) || 0));
+      }
+      data.upgrades = Object.keys(counts).map(id => ({ id, count: counts[id] }));
+
+      const techIds = new Set(content.techUpgrades.map(t => t.id));
+      data.tech = Array.from(new Set((Array.isArray(data.tech) ? data.tech : [])
+        .map(id => rename(SaveMigrator.renames.techUpgrades, id))
+        .filter(id => techIds.has(id))));
+
+      const themeIds = new Set(content.themes.map(t => t.id));
+      const themeList = list => Array.from(new Set(['default'].concat((Array.isArray(list) ? list : [])
+        .map(id => rename(SaveMigrator.renames.themes, id))
+        .filter(id => themeIds.has(id)))));
+      data.themes.unlocked = themeList(data.themes.unlocked);
+      data.themes.owned = themeList(data.themes.owned);
+      const current = rename(SaveMigrator.renames.themes, data.themes.current);
+      data.themes.current = data.themes.owned.includes(current) ? current : 'default';
+
+      // achievements stay null for saves that never stored them (see AchievementService.load) //
+      if (Array.isArray(data.achievements)) {
+        const achIds = new Set(content.achievements.map(a => a.id));
+        const seen = new Set();
+        data.achievements = data.achievements
+          .filter(a => a && typeof a.id === 'string')
+          .map(a => ({ id: rename(SaveMigrator.renames.achievements, a.id), at: typeof a.at === 'number' ? a.at : null }))
+          .filter(a => achIds.has(a.id) && !seen.has(a.id) && seen.add(a.id));
+      } else {
+        data.achievements = null;
+      }
+      return data;
+    }
+
+    // backup: keep the raw save under a separate key, returns that key //
+    static backup(key, raw) {
+      const backupKey = `${key}-backup-${Date.now()}`;
+      return StorageService.saveRaw(backupKey, raw) ? backupKey : null;
+    }
+  }
+
+  SaveMigrator.CURRENT_VERSION = 5;
+
+  // defaults: shape of a fresh save; used for fields missing in older saves //
+  SaveMigrator.defaults = () => ({
+    state: {
+      cookies: 0, totalCookies: 0, manualClicks: 0, goldenClicks: 0, buildingsSold: 0, lastSavedAt: 0,
+      timePlayed: 0, clickCookies: 0, passiveCookies: 0, cookiesSpent: 0, themesBought: 0, bestCps: 0,
+      bestCombo: 0, lifetimeClicks: 0, lifetimeClickCookies: 0, lifetimePassiveCookies: 0, lifetimeCookiesSpent: 0
+    },
+    upgrades: [],
+    tech: [],
+    themes: { unlocked: ['default'], owned: ['default'], current: 'default' },
+    prestige: null,
+    history: null,
+    achievements: null,
+    integrity: null
+  });
+
+  // renames: old id -> new id, add an entry here when content ids change //
+  SaveMigrator.renames = {
+    upgrades: {},
+    techUpgrades: {},
+    themes: {},
+    achievements: {}
+  };
+
+  // migrations: ordered steps, `up` turns a save of version - 1 into `version` //
+  SaveMigrator.migrations = [
+    {
+      // v2: cookie amounts may be BigNum strings; prestige, tech and golden cookies were added //
+      version: 2,
+      up(data) {
+        const state = data.state || {};
+        for (const key of ['cookies', 'totalCookies']) {
+          if (typeof state[key] !== 'number' && typeof state[key] !== 'string') state[key] = 0;
+        }
+        data.state = state;
+        if (!Array.isArray(data.upgrades)) data.upgrades = [];
+        return data;
+      }
+    },
+    {
+      // v3: statistics counters; themes already bought can be counted, the rest starts at 0 //
+      version: 3,
+      up(data) {
+        const state = data.state || {};
+        const owned = data.themes && Array.isArray(data.themes.owned) ? data.themes.owned : [];
+        if (typeof state.themesBought !== 'number') state.themesBought = owned.filter(id => id !== 'default').length;
+        data.state = state;
+        return data;
+      }
+    },
+    {
+      // v4: unlocked achievements are saved as [{ id, at }]; older saves rebuild them silently on load //
+      version: 4,
+      up(data) {
+        if (!Array.isArray(data.achievements)) data.achievements = null;
+        return data;
+      }
+    },
+    {
+      // v5: lifetime totals next to the per-run counters; older saves start them at this run's numbers //
+      version: 5,
+      up(data) {
+        const state = data.state || {};
+        const pairs = [['lifetimeClicks', 'manualClicks'], ['lifetimeClickCookies', 'clickCookies'],
+          ['lifetimePassiveCookies', 'passiveCookies'], ['lifetimeCookiesSpent', 'cookiesSpent']];
+        for (const [lifetime, run] of pairs) {
+          if (state[lifetime] === undefined && state[run] !== undefined) state[lifetime] = state[run];
+        }
+        data.state = state;
+        return data;
+      }
+    }
+  ];
+
+  // SaveCodecError: an import string is malformed or its checksum doesn't match //
+  class SaveCodecError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'SaveCodecError';
+    }
+  }
+
+  // SaveCodec: portable save strings "CC1.<base64 json>.<checksum>" for export/import //
+  class SaveCodec {
+    static encode(data) {
+      const payload = SaveCodec.toBase64(JSON.stringify(data));
+      return `${SaveCodec.PREFIX}.${payload}.${SaveCodec.checksum(payload)}`;
+    }
+
+    // decode: validate prefix and checksum, returns the parsed save object //
+    static decode(code) {
+      const parts = String(code || '').trim().split('.');
+      if (parts.length !== 3 || parts[0] !== SaveCodec.PREFIX) throw new SaveCodecError(I18n.t('codec.invalid'));
+      const [, payload, sum] = parts;
+      if (SaveCodec.checksum(payload) !== sum) throw new SaveCodecError(I18n.t('codec.checksum'));
+      try {
+        return JSON.parse(SaveCodec.fromBase64(payload));
+      } catch (_) {
+        throw new SaveCodecError(I18n.t('codec.unreadable'));
+      }
+    }
+
+    // checksum: FNV-1a 32 bit hash as 8 hex chars //
+    static checksum(text) {
+      let h = 0x811c9dc5;
+      for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+      }
+      return h.toString(16).padStart(8, '0');
+    }
+
+    // toBase64 / fromBase64: UTF-8 safe (names can contain é, emoji, ...) //
+    static toBase64(text) {
+      let bin = '';
+      for (const b of new TextEncoder().encode(text)) bin += String.fromCharCode(b);
+      return btoa(bin);
+    }
+
+    static fromBase64(b64) {
+      const bin = atob(b64);
+      const bytes = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+      return new TextDecoder().decode(bytes);
+    }
+  }
+
+  SaveCodec.PREFIX = 'CC1';
+
+  // ContentError: thrown when content.js does not match ContentValidator.schema //
+  class ContentError extends Error {
+    constructor(problems) {
+      super(`Invalid game content:\n- ${problems.join('\n- ')}`);
+      this.name = 'ContentError';
+      this.problems = problems;
+    }
+  }
+
+  // ContentValidator: checks GAME_CONTENT at startup (fields, duplicate ids, references) //
+  class ContentValidator {
+    // validate: throws a ContentError listing every problem found //
+    static validate(content) {
+      const problems = [];
+      if (!content || typeof content !== 'object') throw new ContentError(['GAME_CONTENT is missing']);
+      const ids = {};
+      for (const section of Object.keys(ContentValidator.schema)) {
+        const list = content[section];
+        ids[section] = new Set();
+        if (!Array.isArray(list)) {
+          problems.push(`${section} must be an array`);
+          continue;
+        }
+        list.forEach((entry, i) => {
+          const where = `${section}[${i}]` + (entry && entry.id ? ` ("${entry.id}")` : '');
+          if (!entry || typeof entry !== 'object') {
+            problems.push(`${where} must be an object`);
+            return;
+          }
+          ContentValidator.checkFields(entry, ContentValidator.schema[section], where, problems);
+          if (typeof entry.id === 'string') {
+            if (ids[section].has(entry.id)) problems.push(`${where}: duplicate id "${entry.id}"`);
+            ids[section].add(entry.id);
+          }
+        });
+      }
+      ContentValidator.checkReferences(content, ids, problems);
+      if (problems.length > 0) throw new ContentError(problems);
+      return true;
+    }
+
+    // checkFields: required/optional fields and their types ('string', 'number?', ...) //
+    static checkFields(entry, fields, where, problems) {
+      for (const key of Object.keys(fields)) {
+        const optional = fields[key].endsWith('?');
+        const type = fields[key].replace('?', '');
+        const value = entry[key];
+        if (value === undefined) {
+          if (!optional) problems.push(`${where}: missing "${key}"`);
+          continue;
+        }
+        const ok = type === 'array' ? Array.isArray(value)
+          : type === 'object' ? (value !== null && typeof value === 'object' && !Array.isArray(value))
+          : typeof value === type && (type !== 'number' || isFinite(value));
+        if (!ok) problems.push(`${where}: "${key}" must be a ${type}`);
+        else if (key === 'id' && value === '') problems.push(`${where}: "id" must not be empty`);
+      }
+    }
+
+    // checkReferences: ids used by other entries must exist //
+    static checkReferences(content, ids, problems) {
+      const buildings = ids.buildings || new Set();
+      (content.buildings || []).forEach(b => {
+        if (typeof b.growth === 'number' && b.growth <= 1) problems.push(`buildings ("${b.id}"): "growth" must be greater than 1`);
+      });
+      (content.techUpgrades || []).forEach(t => {
+        for (const id of Object.keys(t.requires || {})) {
+          if (!buildings.has(id)) problems.push(`techUpgrades ("${t.id}"): requires unknown building "${id}"`);
+        }
+        (Array.isArray(t.effects) ? t.effects : []).forEach(fx => {
+          if (!fx || (fx.type !== 'multiply' && fx.type !== 'synergy')) {
+            problems.push(`techUpgrades ("${t.id}"): effect type must be "multiply" or "synergy"`);
+            return;
+          }
+          if (!buildings.has(fx.target)) problems.push(`techUpgrades ("${t.id}"): effect target "${fx.target}" is not a building`);
+          if (fx.type === 'multiply' && typeof fx.factor !== 'number') problems.push(`techUpgrades ("${t.id}"): multiply effect needs a numeric "factor"`);
+          if (fx.type === 'synergy') {
+            if (!buildings.has(fx.source)) problems.push(`techUpgrades ("${t.id}"): synergy source "${fx.source}" is not a building`);
+            if (typeof fx.perUnit !== 'number') problems.push(`techUpgrades ("${t.id}"): synergy effect needs a numeric "perUnit"`);
+          }
+        });
+      });
+      (content.achievements || []).forEach(a => {
+        const type = AchievementService.conditionTypes[a.type];
+        if (a.type !== undefined && !type) {
+          problems.push(`achievements ("${a.id}"): unknown type "${a.type}"`);
+        }
+        if (type && a.target === undefined && !type.target) problems.push(`achievements ("${a.id}"): type "${a.type}" needs a "target"`);
+        for (const [field, section] of Object.entries((type && type.params) || {})) {
+          if (!(ids[section] || new Set()).has(a[field])) problems.push(`achievements ("${a.id}"): ${field} "${a[field]}" does not exist in ${section}`);
+        }
+        if (a.themeId !== undefined && !(ids.themes || new Set()).has(a.themeId)) {
+          problems.push(`achievements ("${a.id}"): themeId "${a.themeId}" does not exist in themes`);
+        }
+      });
+      if (ids.themes && !ids.themes.has('default')) problems.push('themes: a theme with id "default" is required');
+      (content.prestigeUpgrades || []).forEach(p => {
+        for (const key of Object.keys(p.effect || {})) {
+          if (!['startCookies', 'cps', 'cpc', 'offline'].includes(key)) problems.push(`prestigeUpgrades ("${p.id}"): unknown effect "${key}"`);
+        }
+      });
+    }
+  }
+
+  // schema: fields per content section; a trailing '?' marks an optional field //
+  ContentValidator.schema = {
+    buildings: { id: 'string', name: 'string', description: 'string', baseCost: 'number', growth: 'number', cps: 'number?', cpc: 'number?' },
+    techUpgrades: { id: 'string', name: 'string', description: 'string', cost: 'number', requires: 'object', effects: 'array' },
+    achievements: { id: 'string', name: 'string', description: 'string', type: 'string', target: 'number?', building: 'string?', themeId: 'string?' },
+    themes: { id: 'string', name: 'string', cssClass: 'string', unlockAt: 'number', price: 'number' },
+    prestigeUpgrades: { id: 'string', name: 'string', description: 'string', cost: 'number', effect: 'object' }
+  };
+
+  // CookieClickerGame: main game class — keeps state and ties subsystems together //
+  // Runs without a DOM: the UI, plugins and tests listen to events instead of being called directly: //
+  // click, purchase, tick, save, load, reset, achievementUnlocked, themeUnlocked, themeApplied, //
+  // plus UI hints: stats, shop, notify, offlineReport, goldenSpawn, goldenDespawn, goldenClick //
+  class CookieClickerGame extends EventEmitter {
+    // constructor: set up default state and services //
+    // `content` holds buildings, achievements, themes etc. (see content.js) //
+    // `options.seed` makes the run deterministic, `options.fixedStep` sets the simulation step (seconds) //
+    constructor(content = (typeof GAME_CONTENT !== 'undefined' ? GAME_CONTENT : null), options = {}) {
+      super();
+      this.content = content;
+      this.rng = new RandomService(options.seed);
+      // fixed timestep: tick() collects real time, step() always advances by exactly fixedStep //
+      this.fixedStep = options.fixedStep || CookieClickerGame.FIXED_STEP;
+      this.accumulator = 0;
+      this.simTime = 0;
+      // this page visit only (not saved), for session achievements //
+      this.session = { cookies: new BigNum(0), clicks: 0 };
+      this.state = new GameState();
+      // save slots: settings stay global, progress is stored per slot //
+      this.slots = new SaveSlotService();
+      this.saveKey = this.slots.keyFor(this.slots.activeId);
+      this.clickPowerBase = 1;
+      this.upgrades = this.createDefaultUpgrades();
+      this.techUpgrades = this.createDefaultTechUpgrades();
+      this.tickInterval = null;
+      this.autosaveInterval = null;
+      this.achievements = new AchievementService(this);
+      this.themeService = new ThemeService(this);
+      this.prestige = new PrestigeService(this);
+      this.goldenCookies = new GoldenCookieService(this);
+      this.combo = new ComboService(this);
+      this.history = new HistoryService(this);
+      this.integrity = new ClickIntegrityService(this);
+      this.started = false;
+      // settings (persisted separately) //
+      this.settings = {
+        autosaveEnabled: true,
+        autosaveIntervalSec: 10,
+        // offline earnings: max hours credited and share of normal cps //
+        offlineCapHours: 12,
+        offlineEfficiency: 0.5,
+        // share of the original price refunded when selling a building //
+        sellRefundRate: 0.5,
+        soundEnabled: true,
+        numberFormat: 'short',
+        // which toasts the UI shows: 'all', 'important' (achievements and errors) or 'errors' //
+        notifications: 'all',
+        floatText: true,
+        // suspicious clicking: 'throttle' (drop the extra clicks and flag) or 'flag' (count them, only flag) //
+        clickIntegrity: 'throttle',
+        fairPlayIndicator: false,
+        // catalog id from locales.js ('nl', 'en', ...) //
+        language: I18n.language
+      };
+      this.offlineReport = null;
+      this.loadSettings();
+      // extras (sound, analytics, mods) hook in through use() instead of core code //
+      this.plugins = new Map();
+      // theme and prestige purchases are rare and hard to redo, so save them right away //
+      // (sales are like building purchases: frequent, and picked up by the autosave) //
+      this.on('purchase', ({ kind }) => {
+        if (kind === 'theme' || kind === 'prestige') this.save();
+      });
+    }
+
+    // use: register a plugin `{ name, install(game) }`; install subscribes to events //
+    // and may return a cleanup function that removePlugin() calls //
+    use(plugin) {
+      if (!plugin || typeof plugin.install !== 'function') throw new TypeError('Plugin needs an install(game) method');
+      const name = plugin.name || `plugin-${this.plugins.size + 1}`;
+      if (this.plugins.has(name)) throw new Error(`Plugin "${name}" is already registered`);
+      const cleanup = plugin.install(this);
+      this.plugins.set(name, { plugin, cleanup: typeof cleanup === 'function' ? cleanup : null });
+      return this;
+    }
+
+    // removePlugin: uninstall a plugin by name, returns true when it was registered //
+    removePlugin(name) {
+      const entry = this.plugins.get(name);
+      if (!entry) return false;
+      this.plugins.delete(name);
+      if (entry.cleanup) entry.cleanup();
+      return true;
+    }
+
+    // createDefaultUpgrades: returns an array of upgrades available in shop //
+    createDefaultUpgrades() {
+      return this.content.buildings.map(def => new Upgrade(def));
+    }
+
+    // createDefaultTechUpgrades: one-time upgrades shown in their own shop section //
+    createDefaultTechUpgrades() {
+      return this.content.techUpgrades.map(def => new TechUpgrade(def));
+    }
+
+    // getBuildingMultiplier: output multiplier of a building from purchased tech upgrades //
+    // multiply effects stack by product, synergies add +perUnit for each owned source building //
+    getBuildingMultiplier(upg) {
+      let mult = 1;
+      let synergy = 0;
+      for (const tech of this.techUpgrades) {
+        if (!tech.purchased) continue;
+        for (const fx of tech.effects) {
+          if (fx.target !== upg.id) continue;
+          if (fx.type === 'multiply') mult *= fx.factor;
+          else if (fx.type === 'synergy') {
+            const source = this.upgrades.find(u => u.id === fx.source);
+            if (source) synergy += fx.perUnit * source.count;
+          }
+        }
+      }
+      return mult * (1 + synergy);
+    }
+
+    // cookiesPerSecond: sum of all passive cookie production //
+    // getBuildingCps: production of one building type, before prestige and golden cookie multipliers //
+    getBuildingCps(upg) {
+      return upg.cps * upg.count * this.getBuildingMultiplier(upg);
+    }
+
+    get cookiesPerSecond() {
+      let cps = 0;
+      for (const u of this.upgrades) cps += this.getBuildingCps(u);
+      return cps * this.prestige.getMultiplier('cps') * this.goldenCookies.getMultiplier('cps');
+    }
+
+    // cookiesPerClick: how many cookies you get when you click //
+    get cookiesPerClick() {
+      let cpc = this.clickPowerBase;
+      for (const u of this.upgrades) cpc += u.cpc * u.count * this.getBuildingMultiplier(u);
+      return cpc * this.prestige.getMultiplier('cpc') * this.goldenCookies.getMultiplier('cpc');
+    }
+
+    // notify: short message for the player (the UI shows it as a toast) //
+    notify(message, type) {
+      this.emit('notify', { message, type });
+    }
+
+    // addCookies: add to current and lifetime totals and report the change //
+    // `source` ('click', 'passive' or 'offline') feeds the statistics; other income (golden, prestige) has none //
+    addCookies(amount, source) {
+      this.state.cookies = this.state.cookies.add(amount);
+      this.state.totalCookies = this.state.totalCookies.add(amount);
+      if (source === 'click') {
+        this.state.clickCookies = this.state.clickCookies.add(amount);
+        this.state.lifetimeClickCookies = this.state.lifetimeClickCookies.add(amount);
+      } else if (source === 'passive' || source === 'offline') {
+        this.state.passiveCookies = this.state.passiveCookies.add(amount);
+        this.state.lifetimePassiveCookies = this.state.lifetimePassiveCookies.add(amount);
+      }
+      // offline earnings weren't baked during this session //
+      if (source !== 'offline') this.session.cookies = this.session.cookies.add(amount);
+      this.emit('stats');
+    }
+
+    // spend: pay cookies for a purchase (caller checks canAfford) //
+    spend(cost) {
+      this.state.cookies = this.state.cookies.sub(cost);
+      this.state.cookiesSpent = this.state.cookiesSpent.add(cost);
+      this.state.lifetimeCookiesSpent = this.state.lifetimeCookiesSpent.add(cost);
+    }
+
+    // canAfford: check if player has enough cookies (use floor to avoid tiny fractions) //
+    canAfford(cost) {
+      return this.state.cookies.floor().gte(cost);
+    }
+
+    // quoteUpgrade: resolve a buy amount (1, 10, 100 or 'max') to { amount, cost } //
+    // 'max' quotes what the current cookies allow, or a single unit when that is 0 //
+    quoteUpgrade(upg, amount) {
+      let n = amount === 'max' ? upg.getMaxAffordable(this.state.cookies) : Math.max(1, Math.floor(amount) || 1);
+      if (n === 0) n = 1;
+      return { amount: n, cost: upg.getCostFor(n) };
+    }
+
+    // buyUpgrade: attempt to purchase `amount` units of an upgrade, returns true on success //
+    buyUpgrade(id, amount = 1) {
+      const upg = this.upgrades.find(u => u.id === id);
+      if (!upg) return false;
+      const quote = this.quoteUpgrade(upg, amount);
+      if (!this.canAfford(quote.cost)) return false;
+      this.spend(quote.cost);
+      upg.count += quote.amount;
+      this.emit('purchase', { kind: 'building', id, amount: quote.amount, cost: quote.cost });
+      this.emit('shop');
+      return true;
+    }
+
+    // buyTech: purchase a one-time tech upgrade once it is unlocked, returns true on success //
+    buyTech(id) {
+      const tech = this.techUpgrades.find(t => t.id === id);
+      if (!tech || tech.purchased) return false;
+      if (!tech.isUnlocked(this.upgrades)) return false;
+      if (!this.canAfford(tech.cost)) return false;
+      this.spend(tech.cost);
+      tech.purchased = true;
+      this.emit('purchase', { kind: 'tech', id, amount: 1, cost: BigNum.from(tech.cost) });
+      this.emit('shop');
+      return true;
+    }
+
+    // quoteSell: resolve a sell amount (1, 10, 100 or 'max' = all) to { amount, refund } //
+    quoteSell(upg, amount) {
+      const wanted = amount === 'max' ? upg.count : Math.max(1, Math.floor(amount) || 1);
+      const n = Math.min(wanted, upg.count);
+      const rate = Math.min(1, Math.max(0, this.settings.sellRefundRate || 0));
+      return { amount: n, refund: upg.getRefundFor(n, rate) };
+    }
+
+    // sellUpgrade: sell back owned units for a partial refund, returns true on success //
+    // the refund is not counted in totalCookies so selling can't farm achievements //
+    sellUpgrade(id, amount = 1) {
+      const upg = this.upgrades.find(u => u.id === id);
+      if (!upg) return false;
+      const quote = this.quoteSell(upg, amount);
+      if (quote.amount <= 0) return false;
+      upg.count -= quote.amount;
+      this.state.cookies = this.state.cookies.add(quote.refund);
+      this.state.buildingsSold += quote.amount;
+      this.emit('sell', { kind: 'building', id, amount: quote.amount, refund: quote.refund });
+      this.emit('shop');
+      return true;
+    }
+
+    // click: one manual click, returns false when ClickIntegrityService throttled it //
+    // `input.trusted` false marks a scripted click (the UI passes event.isTrusted), `input.at` its time in ms //
+    // the click earns cookiesPerClick times the combo multiplier; the UI shows the float text on the click event //
+    click(input = {}) {
+      if (!this.integrity.check(input)) return false;
+      const multiplier = this.combo.hit();
+      const amount = this.cookiesPerClick * multiplier;
+      this.addCookies(amount, 'click');
+      this.state.manualClicks += 1;
+      this.state.lifetimeClicks += 1;
+      this.session.clicks += 1;
+      this.emit('click', { amount, multiplier });
+      return true;
+    }
+
+    // tick: feed elapsed real time (any size) and run the whole fixed steps it covers //
+    tick(deltaSeconds) {
+      if (!(deltaSeconds > 0)) return 0;
+      this.accumulator += deltaSeconds;
+      let steps = 0;
+      // small epsilon so 0.1 + 0.1 + 0.1 still counts as three 0.1 steps //
+      while (this.accumulator >= this.fixedStep - 1e-9) {
+        this.accumulator -= this.fixedStep;
+        this.step(this.fixedStep);
+        steps++;
+      }
+      return steps;
+    }
+
+    // advance: run the simulation forward by `seconds` right away (tests, balancing, replays) //
+    advance(seconds) {
+      const steps = Math.round(seconds / this.fixedStep);
+      for (let i = 0; i < steps; i++) this.step(this.fixedStep);
+      return steps;
+    }
+
+    // step: one fixed simulation step: passive income, golden cookies, achievements //
+    step(deltaSeconds) {
+      this.simTime += deltaSeconds;
+      this.state.timePlayed += deltaSeconds;
+      const cps = this.cookiesPerSecond;
+      if (cps > this.state.bestCps) this.state.bestCps = cps;
+      const earned = cps * deltaSeconds;
+      if (earned > 0) this.addCookies(earned, 'passive');
+      this.goldenCookies.update(deltaSeconds);
+      this.combo.update(deltaSeconds);
+      this.achievements.checkAchievements();
+      if (this.themeService) this.themeService.checkUnlocks();
+      this.emit('tick', { dt: deltaSeconds, simTime: this.simTime });
+    }
+
+    // getSaveData: plain object with everything that is persisted //
+    getSaveData() {
+      return {
+        state: this.state,
+        upgrades: this.upgrades.map(u => u.toJSON()),
+        tech: this.techUpgrades.filter(t => t.purchased).map(t => t.id),
+        version: SaveMigrator.CURRENT_VERSION,
+        themes: {
+          unlocked: Array.from(this.themeService ? this.themeService.unlocked : []),
+          owned: Array.from(this.themeService ? this.themeService.owned : []),
+          current: this.themeService ? this.themeService.current : 'default'
+        },
+        prestige: this.prestige.toJSON(),
+        history: this.history.toJSON(),
+        achievements: this.achievements.toJSON(),
+        integrity: this.integrity.toJSON()
+      };
+    }
+
+    // save: persist game state (upgrades, themes, and state) -> localStorage //
+    save() {
+      this.state.lastSavedAt = Date.now();
+      StorageService.save(this.saveKey, this.getSaveData());
+      this.slots.updateSummary(this.slots.activeId, {
+        cookies: this.state.cookies.toJSON(),
+        cps: this.cookiesPerSecond,
+        lastPlayedAt: this.state.lastSavedAt
+      });
+      this.emit('save');
+    }
+
+    // load: read persisted data, migrate it to the current version and restore game objects //
+    // a save that can't be read is kept as a backup instead of being overwritten silently; //
+    // 'loadFailed' { error, backupKey } carries the reason (the UI logs it to the console) //
+    load() {
+      const raw = StorageService.loadRaw(this.saveKey);
+      if (!raw) return;
+      let data;
+      try {
+        let parsed;
+        try {
+          parsed = JSON.parse(raw);
+        } catch (e) {
+          throw new SaveMigrationError('Save is not valid JSON', e);
+        }
+        data = SaveMigrator.migrate(parsed, this.content);
+      } catch (e) {
+        const backupKey = SaveMigrator.backup(this.saveKey, raw);
+        this.emit('loadFailed', { error: e, backupKey });
+        this.notify(backupKey ? I18n.t('game.loadFailedBackup', { key: backupKey }) : I18n.t('game.loadFailed'), 'danger');
+        return;
+      }
+      this.restore(data);
+      // offline earnings use the base cps, not a frenzy that was running when the tab closed //
+      this.goldenCookies.reset();
+      this.combo.reset();
+      this.offlineReport = this.applyOfflineProgress(Date.now());
+      this.emit('load');
+      if (this.offlineReport) this.emit('offlineReport', this.offlineReport);
+    }
+
+    // restore: apply already migrated save data to the game objects //
+    restore(data) {
+      this.state = GameState.fromJSON(data.state);
+      this.upgrades = this.createDefaultUpgrades();
+      this.techUpgrades = this.createDefaultTechUpgrades();
+      for (const saved of data.upgrades || []) {
+        const u = this.upgrades.find(x => x.id === saved.id);
+        if (u) u.count = saved.count || 0;
+      }
+      for (const id of data.tech || []) {
+        const t = this.techUpgrades.find(x => x.id === id);
+        if (t) t.purchased = true;
+      }
+      if (this.themeService) this.themeService.load(data.themes || null);
+      this.prestige.load(data.prestige || null);
+      this.history.load(data.history || null);
+      this.integrity.load(data.integrity || null);
+      // last, so achievements without a stored record can be rebuilt from the restored state //
+      this.achievements.load(data.achievements || null);
+    }
+
+    // exportSave: current progress as a portable save string //
+    exportSave() {
+      return SaveCodec.encode(this.getSaveData());
+    }
+
+    // previewImport: decode and migrate a save string without applying it //
+    // returns { data, summary } or throws SaveCodecError / SaveMigrationError //
+    previewImport(code) {
+      const data = SaveMigrator.migrate(SaveCodec.decode(code), this.content);
+      const state = GameState.fromJSON(data.state);
+      const buildings = data.upgrades.reduce((sum, u) => sum + u.count, 0);
+      const themes = data.themes.owned.map(id => {
+        const theme = this.content.themes.find(t => t.id === id);
+        return theme ? I18n.content('themes', theme) : id;
+      });
+      return {
+        data,
+        summary: {
+          cookies: state.cookies, totalCookies: state.totalCookies, buildings, themes,
+          prestigeLevel: (data.prestige && data.prestige.level) || 0,
+          flaggedSessions: data.integrity && Array.isArray(data.integrity.sessions) ? data.integrity.sessions.length : 0
+        }
+      };
+    }
+
+    // importSave: overwrite the current game with previewed save data //
+    importSave(data) {
+      this.restore(data);
+      this.goldenCookies.reset();
+      this.combo.reset();
+      this.emit('load');
+      this.save();
+      this.notify(I18n.t('game.imported'), 'success');
+    }
+
+    // applyOfflineProgress: credit cps earned while the game was closed (capped and scaled) //
+    // returns { seconds, credited, earned, efficiency } for the welcome back dialog (efficiency includes //
+    // prestige bonuses), or null when nothing was earned //
+    applyOfflineProgress(now) {
+      const savedAt = this.state.lastSavedAt || 0;
+      if (!savedAt) return null;
+      const away = (now - savedAt) / 1000;
+      if (away < 60) return null;
+      const capSec = Math.max(0, this.settings.offlineCapHours || 0) * 3600;
+      const seconds = Math.min(away, capSec);
+      const efficiency = Math.min(1, Math.max(0, (this.settings.offlineEfficiency || 0) + this.prestige.getBonus('offline')));
+      const earned = this.cookiesPerSecond * seconds * efficiency;
+      if (earned <= 0) return null;
+      this.addCookies(earned, 'offline');
+      return { seconds: away, credited: seconds, earned, efficiency };
+    }
+
+    // getStatistics: numbers for the statistics tab; session = time simulated since this page was opened //
+    getStatistics() {
+      const s = this.state;
+      const baseCps = this.upgrades.reduce((sum, u) => sum + this.getBuildingCps(u), 0);
+      return {
+        timePlayed: s.timePlayed,
+        sessionSeconds: this.simTime,
+        manualClicks: s.manualClicks,
+        clickCookies: s.clickCookies,
+        passiveCookies: s.passiveCookies,
+        cookiesSpent: s.cookiesSpent,
+        themesBought: s.themesBought,
+        buildingsSold: s.buildingsSold,
+        bestCps: s.bestCps,
+        bestCombo: s.bestCombo,
+        lifetimeClicks: s.lifetimeClicks,
+        lifetimeClickCookies: s.lifetimeClickCookies,
+        lifetimePassiveCookies: s.lifetimePassiveCookies,
+        lifetimeCookiesSpent: s.lifetimeCookiesSpent,
+        totalBuildings: this.upgrades.reduce((sum, u) => sum + u.count, 0),
+        flaggedSessions: this.integrity.flaggedSessions.length,
+        buildings: this.upgrades.map(u => {
+          const cps = this.getBuildingCps(u);
+          return { id: u.id, name: u.name, count: u.count, cps, share: baseCps > 0 ? cps / baseCps : 0 };
+        })
+      };
+    }
+
+    // useSlot: pick the save slot to play (only before start) //
+    useSlot(id) {
+      if (this.started || !this.slots.setActive(id)) return false;
+      this.saveKey = this.slots.keyFor(id);
+      return true;
+    }
+
+    // start: restore data and begin autosaving; the caller drives tick() (UI frame loop, tests) //
+    start() {
+      if (this.started) return;
+      this.load();
+      this.started = true;
+      this.restartAutosave();
+    }
+
+    // restartAutosave: (re)start the autosave timer from the current settings //
+    restartAutosave() {
+      if (this.autosaveInterval) clearInterval(this.autosaveInterval);
+      this.autosaveInterval = null;
+      if (!this.started || !this.settings.autosaveEnabled) return;
+      this.autosaveInterval = setInterval(() => this.save(), this.settings.autosaveIntervalSec * 1000);
+    }
+
+    // stop: end autosaving (used when a headless game is thrown away) //
+    stop() {
+      if (this.autosaveInterval) clearInterval(this.autosaveInterval);
+      this.autosaveInterval = null;
+      this.started = false;
+    }
+
+    // loadSettings: read small UI settings like sound on/off //
+    // loadSettings: read `cookie-settings`; unknown keys and invalid values are ignored //
+    loadSettings() {
+      try {
+        const s = StorageService.load('cookie-settings', null);
+        if (!s || typeof s !== 'object') return;
+        this.mergeSettings(s);
+      } catch (_) {}
+    }
+
+    // mergeSettings: copy valid values (see CookieClickerGame.settingRules), returns the keys that changed //
+    mergeSettings(changes) {
+      const changed = [];
+      for (const key of Object.keys(changes || {})) {
+        const rule = CookieClickerGame.settingRules[key];
+        const value = rule ? rule(changes[key]) : undefined;
+        if (value === undefined || value === this.settings[key]) continue;
+        this.settings[key] = value;
+        changed.push(key);
+      }
+      Formatter.numberFormat = this.settings.numberFormat;
+      I18n.setLanguage(this.settings.language);
+      return changed;
+    }
+
+    // updateSettings: apply changes right away (autosave timer, number format, language) and persist them //
+    updateSettings(changes) {
+      const changed = this.mergeSettings(changes);
+      if (changed.includes('autosaveEnabled') || changed.includes('autosaveIntervalSec')) this.restartAutosave();
+      this.saveSettings();
+      if (changed.length > 0) this.emit('settings', { changed, settings: this.settings });
+      return changed;
+    }
+
+    // saveSettings: persist small UI settings //
+    saveSettings() {
+      try {
+        const out = {};
+        for (const key of Object.keys(CookieClickerGame.settingRules)) out[key] = this.settings[key];
+        StorageService.save('cookie-settings', out);
+      } catch (_) {}
+    }
+
+    // reset: restore a fresh game (the UI asks for confirmation first) //
+    reset() {
+      this.state = new GameState();
+      this.upgrades = this.createDefaultUpgrades();
+      this.techUpgrades = this.createDefaultTechUpgrades();
+      if (this.themeService) this.themeService.reset();
+      this.prestige.reset();
+      this.goldenCookies.reset();
+      this.combo.reset();
+      this.history.reset();
+      this.integrity.reset();
+      this.achievements.reset();
+      this.emit('reset');
+      this.save();
+      this.notify(I18n.t('game.reset'), 'danger');
+    }
+
+    // ascend: soft reset that trades this run's cookies for prestige levels //
+    // upgrades and cookies start over; prestige, themes and achievements are kept //
+    ascend() {
+      const gain = this.prestige.getPendingLevels();
+      if (gain <= 0) {
+        this.notify(I18n.t('game.noPrestige'), 'danger');
+        return false;
+      }
+      this.prestige.ascend(this.state.totalCookies);
+      const previous = this.state;
+      this.state = new GameState();
+      for (const key of GameState.KEPT_ON_ASCEND) this.state[key] = previous[key];
+      this.upgrades = this.createDefaultUpgrades();
+      this.techUpgrades = this.createDefaultTechUpgrades();
+      this.goldenCookies.reset();
+      this.combo.reset();
+      const startCookies = this.prestige.getBonus('startCookies');
+      if (startCookies > 0) this.addCookies(startCookies);
+      this.emit('shop');
+      this.save();
+      this.notify(I18n.t('game.ascended', { gain }), 'success');
+      return true;
+    }
+  }
+
+  // simulation step in seconds (20 steps per second) //
+  CookieClickerGame.FIXED_STEP = 0.05;
+
+  // settingRules: setting -> function returning the cleaned value, or undefined when invalid //
+  CookieClickerGame.settingRules = (() => {
+    const bool = v => (typeof v === 'boolean' ? v : undefined);
+    const number = (min, max) => v => (typeof v === 'number' && isFinite(v) ? Math.min(max, Math.max(min, v)) : undefined);
+    const oneOf = (...options) => v => (options.includes(v) ? v : undefined);
+    return {
+      autosaveEnabled: bool,
+      // the choices in the settings selects //
+      autosaveIntervalSec: oneOf(5, 10, 30, 60, 300),
+      offlineCapHours: number(0, 168),
+      offlineEfficiency: number(0, 1),
+      sellRefundRate: oneOf(0.25, 0.5, 0.75, 1),
+      soundEnabled: bool,
+      numberFormat: oneOf('short', 'full', 'scientific', 'engineering'),
+      notifications: oneOf('all', 'important', 'errors'),
+      floatText: bool,
+      clickIntegrity: oneOf('throttle', 'flag'),
+      fairPlayIndicator: bool,
+      language: v => (I18n.has(v) ? v : undefined)
+    };
+  })();
+
+  // SimulationClock: drives game.tick() from wall-clock time on its own timer //
+  // Browsers pause requestAnimationFrame and throttle timers in background tabs; measuring //
+  // real elapsed time keeps production correct, and a backlog is worked off in bounded chunks //
+  class SimulationClock {
+    constructor(game, options = {}) {
+      this.game = game;
+      this.intervalMs = options.intervalMs || 50;
+      // most fixed steps simulated per run, so catching up never freezes the page //
+      this.maxStepsPerRun = options.maxStepsPerRun || 400;
+      this.now = options.now || (() => Date.now());
+      this.timer = null;
+      this.catchUpTimer = null;
+      this.last = 0;
+      this.pending = 0;
+    }
+
+    start() {
+      if (this.timer) return;
+      this.last = this.now();
+      this.pending = 0;
+      this.timer = setInterval(() => this.run(), this.intervalMs);
+    }
+
+    stop() {
+      clearInterval(this.timer);
+      clearTimeout(this.catchUpTimer);
+      this.timer = null;
+      this.catchUpTimer = null;
+    }
+
+    // run: add the real time since the last run and simulate up to maxStepsPerRun of it //
+    // returns the seconds still waiting to be simulated //
+    run() {
+      const t = this.now();
+      // ignore a clock that jumped backwards //
+      this.pending += Math.max(0, t - this.last) / 1000;
+      this.last = t;
+      const slice = Math.min(this.pending, this.maxStepsPerRun * this.game.fixedStep);
+      this.pending -= slice;
+      this.game.tick(slice);
+      return this.pending;
+    }
+
+    // catchUp: work off the backlog now (e.g. when a tab becomes visible again), one chunk per timer turn //
+    catchUp() {
+      clearTimeout(this.catchUpTimer);
+      this.catchUpTimer = null;
+      if (this.run() > 0) this.catchUpTimer = setTimeout(() => this.catchUp(), 0);
+    }
+  }
+
+  class AchievementService {
+    constructor(game) {
+      this.game = game;
+      // Achievements mapped to theme IDs so unlocking an achievement unlocks a theme //
+      // Each achievement has a `type` (see conditionTypes) and a numeric `target` //
+      this.achievements = game.content.achievements;
+      // id -> unlock timestamp (ms), or null when the date is unknown (rebuilt from an old save) //
+      this.unlocked = new Map();
+    }
+
+    reset() {
+      this.unlocked = new Map();
+    }
+
+    // unlock: record an achievement; silent unlocks (restoring) don't notify anyone //
+    unlock(ach, at = Date.now(), silent = false) {
+      if (this.unlocked.has(ach.id)) return false;
+      this.unlocked.set(ach.id, at);
+      if (!silent) this.game.emit('achievementUnlocked', { achievement: ach, at });
+      return true;
+    }
+
+    // getLog: unlocked achievements oldest first ({ achievement, at }); unknown dates come first //
+    getLog() {
+      return this.achievements
+        .filter(a => this.unlocked.has(a.id))
+        .map(a => ({ achievement: a, at: this.unlocked.get(a.id) }))
+        .sort((x, y) => (x.at || 0) - (y.at || 0));
+    }
+
+    toJSON() {
+      return this.getLog().map(({ achievement, at }) => ({ id: achievement.id, at }));
+    }
+
+    // load: restore saved unlocks without toasts; saves from before v4 have none stored, //
+    // so whatever the restored state already meets is marked unlocked (date unknown) //
+    load(list) {
+      this.reset();
+      if (!Array.isArray(list)) {
+        for (const ach of this.achievements) {
+          if (this.isMet(ach)) this.unlock(ach, null, true);
+        }
+        return;
+      }
+      const ids = new Set(this.achievements.map(a => a.id));
+      for (const entry of list) {
+        if (entry && ids.has(entry.id)) this.unlocked.set(entry.id, typeof entry.at === 'number' ? entry.at : null);
+      }
+    }
+
+    // getProgress: current value for an achievement's type (BigNum, compare with target) //
+    getProgress(ach) {
+      const type = AchievementService.conditionTypes[ach.type];
+      return BigNum.from(type ? type.value(this.game.state, this.game, ach) : 0);
+    }
+
+    // getTarget: the achievement's own target, or the type's default (e.g. all themes) //
+    getTarget(ach) {
+      const type = AchievementService.conditionTypes[ach.type];
+      if (ach.target !== undefined) return ach.target;
+      return type && type.target ? type.target(this.game) : 1;
+    }
+
+    // getRatio: progress between 0 and 1 for progress bars //
+    getRatio(ach) {
+      const target = this.getTarget(ach);
+      if (target <= 0) return 1;
+      return Math.min(1, this.getProgress(ach).div(target).toNumber());
+    }
+
+    // getProgressText: "12 / 100 kliks", "5m 0s / 1u 0m" ... depending on the type's format and language //
+    getProgressText(ach) {
+      const type = AchievementService.conditionTypes[ach.type];
+      const target = this.getTarget(ach);
+      let current = this.getProgress(ach);
+      if (current.gt(target)) current = BigNum.from(target);
+      if (!type) return '';
+      if (type.format === 'duration') return `${Formatter.formatDuration(current.toNumber())} / ${Formatter.formatDuration(target)}`;
+      const unit = typeof type.unit === 'function' ? type.unit(this.game, ach) : I18n.t(type.unit);
+      const shown = type.format === 'decimal' ? current : current.floor();
+      return `${Formatter.formatNumber(shown)} / ${Formatter.formatNumber(target)} ${unit}`;
+    }
+
+    // isMet: the achievement's value has reached its target //
+    isMet(ach) {
+      return this.getProgress(ach).gte(this.getTarget(ach));
+    }
+
+    // checkAchievements: examine achievement conditions and unlock when met //
+    // Reward themes are handled by ThemeService, which listens to achievementUnlocked //
+    checkAchievements() {
+      let unlockedAny = false;
+      for (const ach of this.achievements) {
+        if (!this.unlocked.has(ach.id) && this.isMet(ach)) {
+          this.unlock(ach);
+          unlockedAny = true;
+        }
+      }
+      if (unlockedAny) this.game.emit('shop');
+    }
+  }
+
+  // conditionTypes: achievement type -> value that is compared with `target` //
+  // value(state, game, ach) reads the progress; `params` are extra fields the achievement needs //
+  // (field -> content section it refers to), `target` a default target when none is given, //
+  // `format` 'number' (default), 'decimal' or 'duration' and `unit` the I18n key of the word in the //
+  // progress text (or a function returning the word) //
+  AchievementService.conditionTypes = {
+    totalCookies: { value: s => s.totalCookies, unit: 'unit.cookies' },
+    goldenClicks: { value: s => s.goldenClicks, unit: 'unit.goldenCookies' },
+    manualClicks: { value: s => s.manualClicks, unit: 'unit.clicks' },
+    building: {
+      params: { building: 'buildings' },
+      value: (s, game, ach) => {
+        const upg = game.upgrades.find(u => u.id === ach.building);
+        return upg ? upg.count : 0;
+      },
+      unit: (game, ach) => {
+        const upg = game.upgrades.find(u => u.id === ach.building);
+        return upg ? I18n.content('buildings', upg) : ach.building;
+      }
+    },
+    cps: { value: (s, game) => game.cookiesPerSecond, format: 'decimal', unit: 'unit.cps' },
+    allThemes: {
+      value: (s, game) => game.themeService.themes.filter(t => t.id !== 'default' && game.themeService.owned.has(t.id)).length,
+      target: game => game.themeService.themes.filter(t => t.id !== 'default').length,
+      unit: 'unit.themes'
+    },
+    timePlayed: { value: s => s.timePlayed, format: 'duration' },
+    sessionCookies: { value: (s, game) => game.session.cookies, unit: 'unit.sessionCookies' },
+    sessionClicks: { value: (s, game) => game.session.clicks, unit: 'unit.sessionClicks' },
+    buildingsSold: { value: s => s.buildingsSold, unit: 'unit.buildingsSold' },
+    bestCombo: { value: s => s.bestCombo, unit: 'unit.combo' }
+  };
+
+  class ThemeService {
+    constructor(game) {
+      this.game = game;
+      // Expanded theme list including achievement-themed ids //
+      this.themes = game.content.themes;
+      this.unlocked = new Set(['default']);
+      this.owned = new Set(['default']);
+      this.current = 'default';
+      // achievements with a `themeId` unlock that theme //
+      game.on('achievementUnlocked', ({ achievement }) => this.unlockFromAchievement(achievement));
+    }
+
+    unlockFromAchievement(ach) {
+      const t = ach.themeId && this.themes.find(x => x.id === ach.themeId);
+      if (!t || this.unlocked.has(t.id)) return;
+      this.unlocked.add(t.id);
+      this.game.emit('themeUnlocked', { theme: t });
+    }
+
+    // checkUnlocks: reveal themes when player reaches their unlock threshold //
+
+    checkUnlocks() {
+      let any = false;
+      for (const t of this.themes) {
+        if (!this.unlocked.has(t.id) && this.game.state.totalCookies.gte(t.unlockAt)) {
+          this.unlocked.add(t.id);
+          any = true;
+          this.game.emit('themeUnlocked', { theme: t });
+        }
+      }
+      if (any) this.game.emit('shop');
+    }
+
+    purchaseTheme(id) {
+      const t = this.themes.find(x => x.id === id);
+      if (!t) return false;
+      if (!this.unlocked.has(id)) {
+        this.game.notify(I18n.t('theme.notUnlocked'), 'danger');
+        return false;
+      }
+      if (this.owned.has(id)) {
+        this.game.notify(I18n.t('theme.alreadyOwned'), 'success');
+        return false;
+      }
+      if (!this.game.canAfford(t.price)) {
+        this.game.notify(I18n.t('theme.notEnoughCookies'), 'danger');
+        return false;
+      }
+      // Deduct and grant ownership //
+      this.game.spend(BigNum.from(t.price));
+      this.game.state.themesBought += 1;
+      this.owned.add(id);
+      this.game.emit('purchase', { kind: 'theme', id, amount: 1, cost: BigNum.from(t.price) });
+      this.game.notify(I18n.t('theme.bought', { name: I18n.content('themes', t) }), 'success');
+      this.game.emit('shop');
+      return true;
+    }
+
+    // applyTheme: switch to an owned theme; `restored` marks a re-apply while loading a save //
+    applyTheme(id, restored = false) {
+      const t = this.themes.find(x => x.id === id);
+      if (!t) return;
+      // require ownership to apply (except default) //
+      if (t.id !== 'default' && !this.owned.has(t.id)) {
+        this.game.notify(I18n.t('theme.notOwned'), 'danger');
+        return;
+      }
+      this.current = id;
+      StorageService.save('cookie-themes', { unlocked: Array.from(this.unlocked), owned: Array.from(this.owned), current: this.current });
+      // the UI swaps the body css class //
+      this.game.emit('themeApplied', { theme: t, themes: this.themes, restored });
+    }
+
+    load(data) {
+      if (!data) return;
+      try {
+        if (data.unlocked) this.unlocked = new Set(data.unlocked);
+        if (data.owned) this.owned = new Set(data.owned);
+        if (data.current) this.current = data.current;
+        // apply only if owned or default //
+        if (this.current && (this.current === 'default' || this.owned.has(this.current))) this.applyTheme(this.current, true);
+      } catch (_) {}
+    }
+
+    reset() {
+      this.unlocked = new Set(['default']);
+      this.owned = new Set(['default']);
+      this.current = 'default';
+      this.game.emit('themeApplied', { theme: this.themes.find(t => t.id === 'default'), themes: this.themes, restored: true });
+    }
+  }
+
+  // PrestigeService: ascension levels, spendable prestige (✨) and permanent upgrades //
+  // Levels come from lifetime cookies over all runs and survive ascending //
+  class PrestigeService {
+    constructor(game) {
+      this.game = game;
+      // level = floor(cbrt(lifetime cookies / cookiesPerLevel)) //
+      this.cookiesPerLevel = 1000000;
+      // each level gives +1% cps and cpc //
+      this.bonusPerLevel = 0.01;
+      // permanent upgrades bought with prestige; `effect` is read by getBonus/getMultiplier //
+      this.upgrades = game.content.prestigeUpgrades;
+      this.reset();
+    }
+
+    // reset: wipe all prestige (only used by the hard reset) //
+    reset() {
+      this.level = 0; // total levels earned //
+      this.chips = 0; // levels not yet spent //
+      this.lifetimeCookies = new BigNum(0); // cookies baked in previous runs //
+      this.ascensions = 0;
+      this.purchased = new Set();
+    }
+
+    // levelsFor: prestige levels that a lifetime cookie total is worth //
+    levelsFor(cookies) {
+      const c = BigNum.from(cookies);
+      if (!c.gt(0)) return 0;
+      const n = c.toNumber();
+      if (isFinite(n)) return Math.floor(Math.cbrt(n / this.cookiesPerLevel));
+      return Math.floor(Math.pow(10, (c.log10() - Math.log10(this.cookiesPerLevel)) / 3));
+    }
+
+    // getPendingLevels: levels an ascension would give right now //
+    getPendingLevels() {
+      return Math.max(0, this.levelsFor(this.lifetimeCookies.add(this.game.state.totalCookies)) - this.level);
+    }
+
+    // getCookiesForNextLevel: lifetime total needed for the next level //
+    getCookiesForNextLevel() {
+      const next = this.level + this.getPendingLevels() + 1;
+      return Math.pow(next, 3) * this.cookiesPerLevel;
+    }
+
+    // getBonus: sum an effect over all purchased prestige upgrades //
+    getBonus(key) {
+      let total = 0;
+      for (const u of this.upgrades) {
+        if (this.purchased.has(u.id) && u.effect[key]) total += u.effect[key];
+      }
+      return total;
+    }
+
+    // getMultiplier: level bonus plus upgrade bonus for 'cps' or 'cpc' //
+    getMultiplier(key) {
+      return 1 + this.level * this.bonusPerLevel + this.getBonus(key);
+    }
+
+    // ascend: bank this run's cookies and grant the pending levels //
+    ascend(runCookies) {
+      const gain = this.getPendingLevels();
+      this.lifetimeCookies = this.lifetimeCookies.add(runCookies);
+      this.level += gain;
+      this.chips += gain;
+      this.ascensions += 1;
+      return gain;
+    }
+
+    purchase(id) {
+      const u = this.upgrades.find(x => x.id === id);
+      if (!u) return false;
+      if (this.purchased.has(id)) {
+        this.game.notify(I18n.t('prestige.alreadyOwned'), 'success');
+        return false;
+      }
+      if (this.chips < u.cost) {
+        this.game.notify(I18n.t('prestige.notEnough'), 'danger');
+        return false;
+      }
+      this.chips -= u.cost;
+      this.purchased.add(id);
+      this.game.emit('purchase', { kind: 'prestige', id, amount: 1, cost: u.cost });
+      this.game.notify(I18n.t('prestige.upgradeBought', { name: I18n.content('prestigeUpgrades', u) }), 'success');
+      this.game.emit('shop');
+      return true;
+    }
+
+    toJSON() {
+      return {
+        level: this.level,
+        chips: this.chips,
+        lifetimeCookies: this.lifetimeCookies,
+        ascensions: this.ascensions,
+        purchased: Array.from(this.purchased)
+      };
+    }
+
+    load(data) {
+      if (!data) return;
+      try {
+        if (typeof data.level === 'number') this.level = data.level;
+        if (typeof data.chips === 'number') this.chips = data.chips;
+        if (data.lifetimeCookies !== undefined) this.lifetimeCookies = BigNum.from(data.lifetimeCookies);
+        if (typeof data.ascensions === 'number') this.ascensions = data.ascensions;
+        if (data.purchased) this.purchased = new Set(data.purchased.filter(id => this.upgrades.some(u => u.id === id)));
+      } catch (_) {}
+    }
+  }
+
+  // GoldenCookieService: random golden cookie spawns and the timed buffs they give //
+  // Timers run on game time (tick deltas), so a paused game doesn't spawn cookies //
+  class GoldenCookieService {
+    constructor(game) {
+      this.game = game;
+      // tunables: spawn window, time on screen and weighted effects //
+      this.config = {
+        spawnMinSec: 60,
+        spawnMaxSec: 180,
+        lifetimeSec: 13,
+        effects: [
+          { id: 'lucky', name: 'Geluksvogel', weight: 50 },
+          { id: 'frenzy', name: 'Frenzy', weight: 35, kind: 'cps', multiplier: 7, duration: 77 },
+          { id: 'clickFrenzy', name: 'Klik-frenzy', weight: 15, kind: 'cpc', multiplier: 777, duration: 13 }
+        ]
+      };
+      this.reset();
+    }
+
+    // reset: remove any cookie on screen and clear buffs //
+    reset() {
+      this.active = null; // { x, y, remaining } while a cookie is on screen //
+      this.buffs = []; // { id, name, kind, multiplier, duration, remaining } //
+      this.nextSpawnIn = this.rollSpawnDelay();
+      this.game.emit('goldenDespawn');
+    }
+
+    rollSpawnDelay() {
+      const { spawnMinSec, spawnMaxSec } = this.config;
+      return this.game.rng.range(spawnMinSec, spawnMinSec + Math.max(0, spawnMaxSec - spawnMinSec));
+    }
+
+    // update: advance spawn, lifetime and buff timers by deltaSeconds //
+    update(deltaSeconds) {
+      if (this.buffs.length > 0) {
+        for (const b of this.buffs) b.remaining -= deltaSeconds;
+        const before = this.buffs.length;
+        this.buffs = this.buffs.filter(b => b.remaining > 0);
+        if (this.buffs.length !== before) this.game.emit('stats');
+      }
+      if (this.active) {
+        this.active.remaining -= deltaSeconds;
+        if (this.active.remaining <= 0) this.despawn();
+        return;
+      }
+      this.nextSpawnIn -= deltaSeconds;
+      if (this.nextSpawnIn <= 0) this.spawn();
+    }
+
+    spawn() {
+      // keep away from the screen edges //
+      const x = this.game.rng.range(10, 90);
+      const y = this.game.rng.range(15, 85);
+      this.active = { x, y, remaining: this.config.lifetimeSec };
+      this.game.emit('goldenSpawn', { x, y });
+    }
+
+    despawn() {
+      this.active = null;
+      this.nextSpawnIn = this.rollSpawnDelay();
+      this.game.emit('goldenDespawn');
+    }
+
+    // pickEffect: weighted random choice from config.effects //
+    pickEffect() {
+      const effects = this.config.effects;
+      const total = effects.reduce((sum, fx) => sum + fx.weight, 0);
+      let roll = this.game.rng.next() * total;
+      for (const fx of effects) {
+        roll -= fx.weight;
+        if (roll < 0) return fx;
+      }
+      return effects[effects.length - 1];
+    }
+
+    // click: collect the golden cookie on screen and apply a random effect //
+    // `input.trusted` as for game.click(): a scripted click is flagged and, when throttling, ignored //
+    click(input = {}) {
+      if (!this.active) return null;
+      if (!this.game.integrity.checkTrusted(input)) return null;
+      this.despawn();
+      this.game.state.goldenClicks += 1;
+      const fx = this.pickEffect();
+      if (fx.id === 'lucky') {
+        // 15% of the bank, capped at 15 minutes of production //
+        const fromBank = this.game.state.cookies.mul(0.15);
+        const fromCps = new BigNum(this.game.cookiesPerSecond * 900);
+        const reward = (fromBank.lt(fromCps) ? fromBank : fromCps).add(13).floor();
+        this.game.addCookies(reward);
+        this.game.notify(I18n.t('golden.reward', { name: I18n.content('goldenEffects', fx), cookies: reward }), 'success');
+      } else {
+        this.addBuff(fx);
+        this.game.notify(I18n.t('golden.buff', { name: I18n.content('goldenEffects', fx), multiplier: fx.multiplier, duration: fx.duration }), 'success');
+      }
+      this.game.emit('goldenClick', { effect: fx });
+      this.game.emit('stats');
+      return fx;
+    }
+
+    // addBuff: start a timed effect, or refresh it when it is already running //
+    addBuff(fx) {
+      const existing = this.buffs.find(b => b.id === fx.id);
+      if (existing) {
+        existing.remaining = fx.duration;
+        return;
+      }
+      this.buffs.push({ id: fx.id, name: fx.name, kind: fx.kind, multiplier: fx.multiplier, duration: fx.duration, remaining: fx.duration });
+    }
+
+    // getMultiplier: product of running buffs for 'cps' or 'cpc' //
+    getMultiplier(kind) {
+      let mult = 1;
+      for (const b of this.buffs) if (b.kind === kind) mult *= b.multiplier;
+      return mult;
+    }
+  }
+
+  // ComboService: clicks in quick succession build a streak that raises the click multiplier in tiers //
+  // Like the golden cookie timers it runs on game time: after `graceSec` without a click the streak drains //
+  class ComboService {
+    constructor(game) {
+      this.game = game;
+      // tunables: pause before the streak drains, clicks lost per second after that and the tiers (lowest first) //
+      this.config = {
+        graceSec: 1,
+        decayPerSec: 15,
+        tiers: [
+          { streak: 10, multiplier: 1.5 },
+          { streak: 25, multiplier: 2 },
+          { streak: 50, multiplier: 3 },
+          { streak: 100, multiplier: 5 }
+        ]
+      };
+      this.reset();
+    }
+
+    reset() {
+      this.streak = 0; // fractional while draining //
+      this.idle = 0; // seconds since the last click //
+      this.tier = 0; // number of tiers reached, 0 = none //
+    }
+
+    // hit: count one manual click and return the multiplier it earns //
+    hit() {
+      this.streak = Math.floor(this.streak) + 1;
+      this.idle = 0;
+      if (this.streak > this.game.state.bestCombo) this.game.state.bestCombo = this.streak;
+      this.updateTier();
+      return this.multiplier;
+    }
+
+    // update: drain the streak once the pause is longer than graceSec //
+    update(deltaSeconds) {
+      if (this.streak <= 0) return;
+      this.idle += deltaSeconds;
+      if (this.idle <= this.config.graceSec) return;
+      this.streak = Math.max(0, this.streak - this.config.decayPerSec * deltaSeconds);
+      this.updateTier();
+    }
+
+    updateTier() {
+      const tier = this.config.tiers.filter(t => this.streak >= t.streak).length;
+      if (tier === this.tier) return;
+      const previous = this.tier;
+      this.tier = tier;
+      this.game.emit('comboTier', { tier, previous, multiplier: this.multiplier });
+    }
+
+    get multiplier() {
+      return this.tier > 0 ? this.config.tiers[this.tier - 1].multiplier : 1;
+    }
+
+    // progress: 0..1 from the current tier to the next one (1 at the top tier), for the combo meter //
+    get progress() {
+      const { tiers } = this.config;
+      if (this.tier >= tiers.length) return 1;
+      const from = this.tier > 0 ? tiers[this.tier - 1].streak : 0;
+      return (this.streak - from) / (tiers[this.tier].streak - from);
+    }
+  }
+
+  // HistoryService: samples cookies, cps and cookies per click into ring buffers for the graph //
+  // Time is play time (state.timePlayed) so the curve has no gaps for time spent away and replays match //
+  class HistoryService {
+    constructor(game) {
+      this.game = game;
+      this.reset();
+      game.on('tick', () => this.update());
+      game.on('purchase', ({ kind, id, amount }) => {
+        if (kind !== 'building' && kind !== 'tech') return;
+        const item = (kind === 'building' ? game.upgrades : game.techUpgrades).find(x => x.id === id);
+        this.mark('purchase', item ? (amount > 1 ? `${item.name} × ${amount}` : item.name) : id, { id, amount });
+      });
+      game.on('sell', ({ id, amount }) => {
+        const item = game.upgrades.find(u => u.id === id);
+        this.mark('sell', item ? `${item.name} × ${amount}` : id, { id, amount });
+      });
+      game.on('achievementUnlocked', ({ achievement }) => this.mark('achievement', achievement.name, { id: achievement.id }));
+    }
+
+    reset() {
+      // tiers: each keeps `capacity` samples taken every `everySec` seconds of play //
+      this.tiers = HistoryService.tiers.map(t => ({ id: t.id, everySec: t.everySec, lastAt: -Infinity, samples: new RingBuffer(t.capacity) }));
+      this.markers = new RingBuffer(HistoryService.markerCapacity);
+    }
+
+    // update: take a sample for every tier whose interval has passed //
+    update() {
+      const t = this.game.state.timePlayed;
+      for (const tier of this.tiers) {
+        if (t - tier.lastAt < tier.everySec) continue;
+        tier.lastAt = t;
+        tier.samples.push(this.sample(t));
+        if (tier === this.tiers[0]) this.game.emit('history');
+      }
+    }
+
+    // sample: [time, cookies, cps, cookiesPerClick]; cookies can be a BigNum string //
+    sample(t) {
+      return [Math.round(t), this.game.state.cookies.floor().toJSON(), this.game.cookiesPerSecond, this.game.cookiesPerClick];
+    }
+
+    // mark: `label` is the text at the time (kept in saves), `ref` the id so the UI can translate it //
+    mark(kind, label, ref = {}) {
+      this.markers.push(Object.assign({ t: Math.round(this.game.state.timePlayed), kind, label }, ref));
+    }
+
+    // getRange: samples and markers of the last `seconds` of play, from the finest tier that covers it //
+    getRange(seconds) {
+      const now = this.game.state.timePlayed;
+      const from = now - seconds;
+      const tier = this.tiers.find(x => x.everySec * x.samples.capacity >= seconds) || this.tiers[this.tiers.length - 1];
+      return {
+        from,
+        to: now,
+        samples: tier.samples.toArray().filter(sm => sm[0] >= from).map(([t, cookies, cps, cpc]) => ({ t, cookies: BigNum.from(cookies), cps, cpc })),
+        markers: this.markers.toArray().filter(m => m.t >= from)
+      };
+    }
+
+    toJSON() {
+      const tiers = {};
+      for (const tier of this.tiers) tiers[tier.id] = tier.samples.toJSON();
+      return { tiers, markers: this.markers.toJSON() };
+    }
+
+    load(data) {
+      this.reset();
+      if (!data || typeof data !== 'object') return;
+      const isSample = sm => Array.isArray(sm) && sm.length === 4 && typeof sm[0] === 'number';
+      for (const tier of this.tiers) {
+        const saved = data.tiers && Array.isArray(data.tiers[tier.id]) ? data.tiers[tier.id].filter(isSample) : [];
+        tier.samples = RingBuffer.fromJSON(saved, tier.samples.capacity);
+        if (saved.length) tier.lastAt = saved[saved.length - 1][0];
+      }
+      const markers = Array.isArray(data.markers) ? data.markers.filter(m => m && typeof m.t === 'number') : [];
+      this.markers = RingBuffer.fromJSON(markers, HistoryService.markerCapacity);
+    }
+  }
+
+  // tiers: 5s samples cover half an hour, 1 minute samples cover a day //
+  HistoryService.tiers = [
+    { id: 'fine', everySec: 5, capacity: 360 },
+    { id: 'coarse', everySec: 60, capacity: 1440 }
+  ];
+  HistoryService.markerCapacity = 200;
+
+  // ClickIntegrityService: looks at every manual click before it counts //
+  // Scripted clicks (not trusted) and more clicks per second than a hand can make are dropped in //
+  // 'throttle' mode and counted in 'flag' mode (settings.clickIntegrity); either way the session is //
+  // flagged, and flagged sessions are kept in the save so competition results can be checked //
+  // It never reads the wall clock: click times come from the caller (the UI passes the event time) //
+  // or default to game time, and a flag is stamped with play time, so replays stay deterministic //
+  class ClickIntegrityService {
+    constructor(game) {
+      this.game = game;
+      // tunables: sliding window for the click rate, and when a steady rhythm counts as a machine //
+      this.config = {
+        windowMs: 1000,
+        maxPerSecond: 20,
+        rhythmClicks: 20,
+        rhythmMaxIntervalMs: 200,
+        rhythmMaxSpread: 0.04
+      };
+      this.flaggedSessions = [];
+      this.startSession();
+    }
+
+    // startSession: the session is this page visit; it is only stored once it gets flagged //
+    // the id is random (not from game.rng, so replays stay the same) and is saved with the record //
+    startSession() {
+      this.session = { id: RandomService.randomSeed().toString(36), flaggedAt: null, reasons: [], rejected: 0, peakRate: 0, mode: null };
+      this.window = [];
+      this.recent = new RingBuffer(this.config.rhythmClicks + 1);
+    }
+
+    // reset: a fresh game keeps the flag of the running session (resetting does not clear it) //
+    reset() {
+      this.flaggedSessions = this.session.flaggedAt !== null ? [this.session] : [];
+    }
+
+    // check: true when the click may count; `at` is the click time in ms (default: game time) //
+    check({ trusted = true, at = this.game.simTime * 1000 } = {}) {
+      const { windowMs, maxPerSecond } = this.config;
+      while (this.window.length > 0 && at - this.window[0] >= windowMs) this.window.shift();
+      this.window.push(at);
+      this.recent.push(at);
+      const rate = this.window.length * 1000 / windowMs;
+      if (rate > this.session.peakRate) this.session.peakRate = rate;
+      const reasons = [];
+      if (trusted === false) reasons.push('untrusted');
+      if (rate > maxPerSecond) reasons.push('rate');
+      // a machine-like rhythm is only flagged: a steady human could come close //
+      if (this.isMachineRhythm()) reasons.push('rhythm');
+      for (const reason of reasons) this.flag(reason);
+      const throttle = this.game.settings.clickIntegrity === 'throttle' && reasons.some(r => r !== 'rhythm');
+      if (throttle) this.session.rejected += 1;
+      return !throttle;
+    }
+
+    // checkTrusted: only the scripted-click check, for clicks outside the click rate (golden cookies) //
+    checkTrusted({ trusted = true } = {}) {
+      if (trusted !== false) return true;
+      this.flag('untrusted');
+      const throttle = this.game.settings.clickIntegrity === 'throttle';
+      if (throttle) this.session.rejected += 1;
+      return !throttle;
+    }
+
+    // isMachineRhythm: the last clicks came at almost exactly the same interval //
+    isMachineRhythm() {
+      const times = this.recent.toArray();
+      if (times.length < this.recent.capacity) return false;
+      const gaps = times.slice(1).map((t, i) => t - times[i]);
+      const mean = gaps.reduce((sum, g) => sum + g, 0) / gaps.length;
+      if (mean <= 0 || mean > this.config.rhythmMaxIntervalMs) return false;
+      const spread = Math.sqrt(gaps.reduce((sum, g) => sum + (g - mean) * (g - mean), 0) / gaps.length);
+      return spread / mean < this.config.rhythmMaxSpread;
+    }
+
+    // flag: record a reason on the running session; the first flag adds it to flaggedSessions //
+    // reasons: 'untrusted', 'rate', 'rhythm' and 'debug' (the UI's unlock-everything button) //
+    // flaggedAt is play time in seconds (like the history markers) //
+    flag(reason) {
+      const s = this.session;
+      if (s.reasons.includes(reason)) return;
+      s.reasons.push(reason);
+      if (s.flaggedAt === null) {
+        s.flaggedAt = Math.round(this.game.state.timePlayed);
+        s.mode = this.game.settings.clickIntegrity;
+        this.flaggedSessions.push(s);
+        if (this.flaggedSessions.length > ClickIntegrityService.MAX_SESSIONS) this.flaggedSessions.shift();
+      }
+      this.game.emit('integrityFlagged', { session: s, reason });
+    }
+
+    isFlagged() {
+      return this.flaggedSessions.length > 0;
+    }
+
+    toJSON() {
+      return { sessions: this.flaggedSessions };
+    }
+
+    // load: flagged sessions from a save; the running session's flag survives loading or importing //
+    // (a save made earlier in this session already holds a copy of it with the same id, which is replaced) //
+    load(data) {
+      const sessions = data && Array.isArray(data.sessions) ? data.sessions : [];
+      const running = this.session.flaggedAt !== null ? this.session : null;
+      const isRunning = s => running && s.id === running.id;
+      this.flaggedSessions = sessions
+        .filter(s => s && typeof s.flaggedAt === 'number' && Array.isArray(s.reasons))
+        .filter(s => !isRunning(s))
+        .concat(running ? [running] : [])
+        .slice(-ClickIntegrityService.MAX_SESSIONS);
+    }
+  }
+  // flagged sessions kept in a save //
+  ClickIntegrityService.MAX_SESSIONS = 20;
+
+  // Node / test runners: `require('./engine.js')`; in the browser these are plain globals //
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      EventEmitter, BigNum, Formatter, I18n, Upgrade, TechUpgrade, GameState, MemoryStorage, StorageService,
+      SaveSlotService, SaveMigrationError, SaveMigrator, SaveCodecError, SaveCodec, ContentError, ContentValidator,
+      RandomService, RingBuffer, CookieClickerGame, SimulationClock, AchievementService, ThemeService, PrestigeService, GoldenCookieService, HistoryService,
+      ClickIntegrityService, ComboService
+    };
+  }
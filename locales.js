@@ -0,0 +1,497 @@
+// LOCALES: message catalogs per language, used by I18n in engine.js //
+// Adding a language = adding an entry here; the language select in the settings lists every entry. //
+// Missing keys fall back to Dutch (I18n.fallbackLanguage), so a new catalog can start small. //
+//
+// { name, locale, messages, content? }
+//   name:     shown in the language select (in the language itself)
+//   locale:   BCP 47 tag for number and date formatting (Formatter.locale)
+//   messages: key -> text; `{name}` is replaced by a parameter (numbers use the chosen number format)
+//   content:  section -> id -> { name?, description? } translations of GAME_CONTENT entries
+//             (content.js itself is Dutch, so the Dutch catalog needs none)
+const LOCALES = {
+  nl: {
+    name: 'Nederlands',
+    locale: 'nl-NL',
+    messages: {
+      // start screen, header and page //
+      'start.tagline': "Verzamel cookies, koop upgrades en ontgrendel thema's!",
+      'start.newSlot': '+ Nieuw slot',
+      'start.play': 'Play',
+      'start.settings': 'Settings',
+      'clicker.button': 'Klik voor cookies',
+      'clicker.cookies': 'cookies',
+      'clicker.cps': 'cookies per sec',
+      'clicker.cpc': 'per click',
+      'clicker.comboIdle': 'Combo: klik snel achter elkaar',
+      'clicker.combo': 'Combo {streak} · ×{multiplier}',
+      'footer.credits': 'Gemaakt door Jayden & Aayan - Cookie Clicker OOP Project',
+      'fatal.content': 'Fout in content.js',
+      // save slots //
+      'slots.default': 'Slot {n}',
+      'slots.copy': '{name} (kopie)',
+      'slots.choose': 'Kies dit slot',
+      'slots.empty': 'Leeg',
+      'slots.unknown': 'onbekend',
+      'slots.rename': 'Hernoemen',
+      'slots.renamePrompt': 'Nieuwe naam voor dit slot:',
+      'slots.duplicate': 'Dupliceren',
+      'slots.delete': 'Verwijderen',
+      'slots.deleteConfirm': 'Slot "{name}" en de voortgang verwijderen?',
+      // settings //
+      'settings.title': 'Instellingen',
+      'settings.sound': 'Geluid inschakelen',
+      'settings.floatText': 'Zwevende tekst bij klikken',
+      'settings.autosave': 'Automatisch opslaan',
+      'settings.autosaveInterval': 'Interval automatisch opslaan',
+      'settings.every5s': 'elke 5 s',
+      'settings.every10s': 'elke 10 s',
+      'settings.every30s': 'elke 30 s',
+      'settings.everyMinute': 'elke minuut',
+      'settings.every5m': 'elke 5 min',
+      'settings.numbers': 'Getallen',
+      'settings.formatShort': 'Kort (1,50M)',
+      'settings.formatFull': 'Volledig (1.500.000)',
+      'settings.formatScientific': 'Wetenschappelijk (1,50e6)',
+      'settings.formatEngineering': 'Technisch (15,0e6)',
+      'settings.notifications': 'Meldingen',
+      'settings.notifyAll': 'Alles',
+      'settings.notifyImportant': 'Alleen belangrijk',
+      'settings.notifyErrors': 'Alleen fouten',
+      'settings.sellRefund': 'Terugbetaling bij verkopen',
+      'settings.language': 'Taal',
+      'settings.clickIntegrity': 'Te snel of nep klikken',
+      'settings.integrityThrottle': 'Afremmen en markeren',
+      'settings.integrityFlag': 'Alleen markeren',
+      'settings.fairPlay': 'Fair play-indicator tonen',
+      'settings.transfer': 'Save exporteren / importeren',
+      'settings.codePlaceholder': 'Plak hier een save-code om te importeren',
+      'settings.export': 'Exporteren',
+      'settings.download': 'Download .json',
+      'settings.file': 'Bestand',
+      'settings.import': 'Importeren',
+      'settings.save': 'Opslaan',
+      'settings.reset': 'Reset voortgang',
+      'settings.resetConfirm': 'Weet je zeker dat je wilt resetten?',
+      'settings.close': 'Sluiten',
+      'settings.unlockAll': 'Demo: Unlock alles',
+      'settings.shortcuts': 'Sneltoetsen: spatie of Enter = klik, 1-9 = koop gebouw, [ en ] = vorige/volgende tab, G = gouden cookie, Esc = venster sluiten',
+      // dialogs //
+      'offline.title': 'Welkom terug!',
+      'offline.text': 'Je was {duration} weg en hebt {cookies} cookies verdiend.',
+      'offline.note': 'Offline productie: {percent} van je cps.',
+      'offline.noteCapped': 'Offline productie: {percent} van je cps, maximaal {duration}.',
+      'offline.continue': 'Verder spelen',
+      'import.title': 'Save importeren?',
+      'import.warning': 'Je huidige voortgang wordt overschreven door:',
+      'import.cookies': 'Cookies: {cookies} (totaal {total})',
+      'import.buildings': 'Gebouwen: {count}',
+      'import.themes': "Thema's: {themes}",
+      'import.prestige': 'Prestige level: {level}',
+      'import.flagged': 'Gemarkeerde sessies: {count}',
+      'import.failed': 'Save kon niet geïmporteerd worden',
+      'import.cancel': 'Annuleren',
+      'import.confirm': 'Overschrijven',
+      'ascend.title': 'Opstijgen?',
+      'ascend.warning': "Je cookies en gebouwen worden gereset. Prestige, thema's en achievements blijven.",
+      'ascend.gain': 'Je krijgt {gain} prestige (totaal {total}, +{percent} productie).',
+      'ascend.notYet': 'Je hebt nog niet genoeg gebakken voor prestige. Volgende level bij {cookies} cookies (totaal).',
+      'ascend.cancel': 'Annuleren',
+      'ascend.confirm': 'Opstijgen',
+      // toasts //
+      'toast.saved': 'Opgeslagen',
+      'toast.copied': 'Save-code gekopieerd',
+      'toast.themeUnlocked': "{name} thema ontgrendeld — je kunt het nu kopen in 'Thema's'",
+      'toast.achievement': 'Hoeraaa! {name} behaald',
+      'toast.unlockAll': 'Alle achievements ontgrendeld (demo)',
+      // panel tabs //
+      'tab.shop': 'Winkel',
+      'tab.achievements': 'Achievements',
+      'tab.themes': "Thema's",
+      'tab.prestige': 'Prestige',
+      'tab.stats': 'Statistieken',
+      'tab.history': 'Grafiek',
+      // shop //
+      'shop.buy': 'Koop',
+      'shop.buyAmount': 'Koop {amount}',
+      'shop.sell': 'Verkoop',
+      'shop.sellAmount': 'Verkoop {amount}',
+      'shop.modeBuy': 'Kopen',
+      'shop.modeSell': 'Verkopen',
+      'shop.max': 'Max',
+      'shop.techHead': 'Upgrades ({bought}/{total} gekocht)',
+      'shop.techEmpty': 'Koop meer gebouwen om upgrades te ontgrendelen.',
+      // achievements //
+      'achievements.list': 'Overzicht',
+      'achievements.log': 'Logboek',
+      'achievements.unlockedAt': 'Behaald: {date}',
+      'achievements.none': 'Nog geen achievements behaald.',
+      'achievements.dateUnknown': 'datum onbekend',
+      // themes //
+      'themes.owned': 'Je bezit {name}',
+      'themes.price': 'Prijs: {price} 🍪',
+      'themes.unlocksAt': 'Wordt ontgrendeld bij {cookies} cookies',
+      'themes.locked': 'Locked',
+      'themes.buy': 'Koop {price} 🍪',
+      'themes.active': 'Actief',
+      'themes.select': 'Selecteer',
+      // prestige //
+      'prestige.info': 'Level {level} (+{percent} cps en klik) · {chips} ✨ te besteden',
+      'prestige.pending': 'Opstijgen geeft nu: +{gain} prestige',
+      'prestige.ascend': 'Opstijgen',
+      'prestige.buy': 'Koop',
+      'prestige.bought': 'Gekocht',
+      // statistics //
+      'stats.timePlayed': 'Speeltijd',
+      'stats.session': 'Deze sessie',
+      'stats.clicks': 'Kliks',
+      'stats.clickCookies': 'Cookies door klikken',
+      'stats.passiveCookies': 'Cookies door productie',
+      'stats.spent': 'Cookies uitgegeven',
+      'stats.buildings': 'Gebouwen',
+      'stats.themesBought': "Thema's gekocht",
+      'stats.buildingsSold': 'Gebouwen verkocht',
+      'stats.bestCps': 'Hoogste cps',
+      'stats.flaggedSessions': 'Gemarkeerde sessies',
+      'stats.bestCombo': 'Langste combo',
+      'stats.share': 'Aandeel in cps',
+      'stats.lifetime': 'Totaal (blijft bij opstijgen)',
+      'stats.run': 'Deze run (sinds opstijgen)',
+      // history graph //
+      'history.cookies': 'Cookies',
+      'history.cps': 'Cps',
+      'history.cpc': 'Per klik',
+      'history.range5m': '5 min',
+      'history.range1h': '1 uur',
+      'history.range1d': '1 dag',
+      'history.legendPurchase': '│ aankoop',
+      'history.legendSell': '│ verkoop',
+      'history.sold': '{name} × {amount} verkocht',
+      'history.legendAchievement': '│ achievement',
+      'history.legendTime': 'tijd = speeltijd',
+      'history.empty': 'Nog te weinig gegevens — blijf spelen',
+      'golden.label': 'Gouden cookie',
+      // fair play (ClickIntegrityService) //
+      'integrity.clean': '✔ Fair play',
+      'integrity.flagged': '⚠ {count} gemarkeerde sessie(s)',
+      'integrity.flaggedToast': 'Sessie gemarkeerd: {reason}',
+      'integrity.untrusted': 'klik door een script',
+      'integrity.rate': 'meer dan {max} kliks per seconde',
+      'integrity.rhythm': 'machinaal gelijk klikritme',
+      'integrity.debug': 'demo-knop: alles ontgrendeld',
+      // screen readers (live region and labels) //
+      'a11y.totals': '{cookies} cookies, {cps} cookies per seconde',
+      'a11y.counters': 'Totalen',
+      'a11y.panels': 'Panelen',
+      'a11y.goldenSpawn': 'Er is een gouden cookie verschenen (toets G)',
+      'a11y.comboTier': 'Combo ×{multiplier}',
+      'a11y.comboLost': 'Combo voorbij',
+      'a11y.cannotBuy': '{name}: niet genoeg cookies',
+      'a11y.cannotSell': '{name}: niets om te verkopen',
+      // engine messages (CookieClickerGame and services) //
+      'time.hours': '{h}u {m}m',
+      'time.minutes': '{m}m {s}s',
+      'time.seconds': '{s}s',
+      'unit.cookies': 'cookies',
+      'unit.goldenCookies': 'gouden cookies',
+      'unit.clicks': 'kliks',
+      'unit.cps': 'cps',
+      'unit.themes': "thema's",
+      'unit.sessionCookies': 'cookies deze sessie',
+      'unit.sessionClicks': 'kliks deze sessie',
+      'unit.buildingsSold': 'gebouwen verkocht',
+      'unit.combo': 'kliks op rij',
+      'codec.invalid': 'Geen geldige save-code',
+      'codec.checksum': 'Checksum klopt niet (code beschadigd of onvolledig)',
+      'codec.unreadable': 'Save-code kon niet gelezen worden',
+      'game.loadFailed': 'Save kon niet geladen worden',
+      'game.loadFailedBackup': 'Save kon niet geladen worden, backup bewaard ({key})',
+      'game.imported': 'Save geïmporteerd',
+      'game.reset': 'Gerest',
+      'game.noPrestige': 'Nog geen prestige te verdienen',
+      'game.ascended': 'Opgestegen! +{gain} prestige',
+      'theme.notUnlocked': 'Thema nog niet ontgrendeld',
+      'theme.alreadyOwned': 'Je bezit dit thema al',
+      'theme.notEnoughCookies': 'Niet genoeg cookies',
+      'theme.bought': '{name} thema gekocht!',
+      'theme.notOwned': 'Je moet dit thema eerst kopen',
+      'prestige.alreadyOwned': 'Je bezit deze upgrade al',
+      'prestige.notEnough': 'Niet genoeg prestige',
+      'prestige.upgradeBought': '{name} gekocht!',
+      'golden.reward': '{name}! +{cookies} cookies',
+      'golden.buff': '{name}! ×{multiplier} voor {duration}s'
+    }
+  },
+
+  en: {
+    name: 'English',
+    locale: 'en-US',
+    messages: {
+      'start.tagline': 'Collect cookies, buy upgrades and unlock themes!',
+      'start.newSlot': '+ New slot',
+      'start.play': 'Play',
+      'start.settings': 'Settings',
+      'clicker.button': 'Click for cookies',
+      'clicker.cookies': 'cookies',
+      'clicker.cps': 'cookies per sec',
+      'clicker.cpc': 'per click',
+      'clicker.comboIdle': 'Combo: click in quick succession',
+      'clicker.combo': 'Combo {streak} · ×{multiplier}',
+      'footer.credits': 'Made by Jayden & Aayan - Cookie Clicker OOP Project',
+      'fatal.content': 'Error in content.js',
+      'slots.default': 'Slot {n}',
+      'slots.copy': '{name} (copy)',
+      'slots.choose': 'Choose this slot',
+      'slots.empty': 'Empty',
+      'slots.unknown': 'unknown',
+      'slots.rename': 'Rename',
+      'slots.renamePrompt': 'New name for this slot:',
+      'slots.duplicate': 'Duplicate',
+      'slots.delete': 'Delete',
+      'slots.deleteConfirm': 'Delete slot "{name}" and its progress?',
+      'settings.title': 'Settings',
+      'settings.sound': 'Enable sound',
+      'settings.floatText': 'Floating text when clicking',
+      'settings.autosave': 'Save automatically',
+      'settings.autosaveInterval': 'Autosave interval',
+      'settings.every5s': 'every 5 s',
+      'settings.every10s': 'every 10 s',
+      'settings.every30s': 'every 30 s',
+      'settings.everyMinute': 'every minute',
+      'settings.every5m': 'every 5 min',
+      'settings.numbers': 'Numbers',
+      'settings.formatShort': 'Short (1.50M)',
+      'settings.formatFull': 'Full (1,500,000)',
+      'settings.formatScientific': 'Scientific (1.50e6)',
+      'settings.formatEngineering': 'Engineering (15.0e6)',
+      'settings.notifications': 'Notifications',
+      'settings.notifyAll': 'All',
+      'settings.notifyImportant': 'Important only',
+      'settings.notifyErrors': 'Errors only',
+      'settings.sellRefund': 'Refund when selling',
+      'settings.language': 'Language',
+      'settings.clickIntegrity': 'Too fast or fake clicks',
+      'settings.integrityThrottle': 'Throttle and flag',
+      'settings.integrityFlag': 'Flag only',
+      'settings.fairPlay': 'Show fair play indicator',
+      'settings.transfer': 'Export / import save',
+      'settings.codePlaceholder': 'Paste a save code here to import it',
+      'settings.export': 'Export',
+      'settings.download': 'Download .json',
+      'settings.file': 'File',
+      'settings.import': 'Import',
+      'settings.save': 'Save',
+      'settings.reset': 'Reset progress',
+      'settings.resetConfirm': 'Are you sure you want to reset?',
+      'settings.close': 'Close',
+      'settings.unlockAll': 'Demo: unlock everything',
+      'settings.shortcuts': 'Shortcuts: Space or Enter = click, 1-9 = buy building, [ and ] = previous/next tab, G = golden cookie, Esc = close dialog',
+      'offline.title': 'Welcome back!',
+      'offline.text': 'You were away for {duration} and earned {cookies} cookies.',
+      'offline.note': 'Offline production: {percent} of your cps.',
+      'offline.noteCapped': 'Offline production: {percent} of your cps, at most {duration}.',
+      'offline.continue': 'Keep playing',
+      'import.title': 'Import save?',
+      'import.warning': 'Your current progress will be overwritten by:',
+      'import.cookies': 'Cookies: {cookies} (total {total})',
+      'import.buildings': 'Buildings: {count}',
+      'import.themes': 'Themes: {themes}',
+      'import.prestige': 'Prestige level: {level}',
+      'import.flagged': 'Flagged sessions: {count}',
+      'import.failed': 'Save could not be imported',
+      'import.cancel': 'Cancel',
+      'import.confirm': 'Overwrite',
+      'ascend.title': 'Ascend?',
+      'ascend.warning': 'Your cookies and buildings are reset. Prestige, themes and achievements are kept.',
+      'ascend.gain': 'You get {gain} prestige (total {total}, +{percent} production).',
+      'ascend.notYet': "You haven't baked enough for prestige yet. Next level at {cookies} cookies (total).",
+      'ascend.cancel': 'Cancel',
+      'ascend.confirm': 'Ascend',
+      'toast.saved': 'Saved',
+      'toast.copied': 'Save code copied',
+      'toast.themeUnlocked': "{name} theme unlocked — you can buy it in 'Themes' now",
+      'toast.achievement': 'Hooray! {name} unlocked',
+      'toast.unlockAll': 'All achievements unlocked (demo)',
+      'tab.shop': 'Shop',
+      'tab.achievements': 'Achievements',
+      'tab.themes': 'Themes',
+      'tab.prestige': 'Prestige',
+      'tab.stats': 'Statistics',
+      'tab.history': 'Graph',
+      'shop.buy': 'Buy',
+      'shop.buyAmount': 'Buy {amount}',
+      'shop.sell': 'Sell',
+      'shop.sellAmount': 'Sell {amount}',
+      'shop.modeBuy': 'Buy',
+      'shop.modeSell': 'Sell',
+      'shop.max': 'Max',
+      'shop.techHead': 'Upgrades ({bought}/{total} bought)',
+      'shop.techEmpty': 'Buy more buildings to unlock upgrades.',
+      'achievements.list': 'Overview',
+      'achievements.log': 'Log',
+      'achievements.unlockedAt': 'Unlocked: {date}',
+      'achievements.none': 'No achievements unlocked yet.',
+      'achievements.dateUnknown': 'date unknown',
+      'themes.owned': 'You own {name}',
+      'themes.price': 'Price: {price} 🍪',
+      'themes.unlocksAt': 'Unlocks at {cookies} cookies',
+      'themes.locked': 'Locked',
+      'themes.buy': 'Buy {price} 🍪',
+      'themes.active': 'Active',
+      'themes.select': 'Select',
+      'prestige.info': 'Level {level} (+{percent} cps and click) · {chips} ✨ to spend',
+      'prestige.pending': 'Ascending now gives: +{gain} prestige',
+      'prestige.ascend': 'Ascend',
+      'prestige.buy': 'Buy',
+      'prestige.bought': 'Bought',
+      'stats.timePlayed': 'Time played',
+      'stats.session': 'This session',
+      'stats.clicks': 'Clicks',
+      'stats.clickCookies': 'Cookies from clicking',
+      'stats.passiveCookies': 'Cookies from production',
+      'stats.spent': 'Cookies spent',
+      'stats.buildings': 'Buildings',
+      'stats.themesBought': 'Themes bought',
+      'stats.buildingsSold': 'Buildings sold',
+      'stats.bestCps': 'Highest cps',
+      'stats.flaggedSessions': 'Flagged sessions',
+      'stats.bestCombo': 'Longest combo',
+      'stats.share': 'Share of cps',
+      'stats.lifetime': 'All time (kept when ascending)',
+      'stats.run': 'This run (since ascending)',
+      'history.cookies': 'Cookies',
+      'history.cps': 'Cps',
+      'history.cpc': 'Per click',
+      'history.range5m': '5 min',
+      'history.range1h': '1 hour',
+      'history.range1d': '1 day',
+      'history.legendPurchase': '│ purchase',
+      'history.legendSell': '│ sale',
+      'history.sold': '{name} × {amount} sold',
+      'history.legendAchievement': '│ achievement',
+      'history.legendTime': 'time = time played',
+      'history.empty': 'Not enough data yet — keep playing',
+      'golden.label': 'Golden cookie',
+      'integrity.clean': '✔ Fair play',
+      'integrity.flagged': '⚠ {count} flagged session(s)',
+      'integrity.flaggedToast': 'Session flagged: {reason}',
+      'integrity.untrusted': 'click made by a script',
+      'integrity.rate': 'more than {max} clicks per second',
+      'integrity.rhythm': 'machine-steady click rhythm',
+      'integrity.debug': 'demo button: everything unlocked',
+      'a11y.totals': '{cookies} cookies, {cps} cookies per second',
+      'a11y.counters': 'Totals',
+      'a11y.panels': 'Panels',
+      'a11y.goldenSpawn': 'A golden cookie appeared (press G)',
+      'a11y.comboTier': 'Combo ×{multiplier}',
+      'a11y.comboLost': 'Combo over',
+      'a11y.cannotBuy': '{name}: not enough cookies',
+      'a11y.cannotSell': '{name}: nothing to sell',
+      'time.hours': '{h}h {m}m',
+      'time.minutes': '{m}m {s}s',
+      'time.seconds': '{s}s',
+      'unit.cookies': 'cookies',
+      'unit.goldenCookies': 'golden cookies',
+      'unit.clicks': 'clicks',
+      'unit.cps': 'cps',
+      'unit.themes': 'themes',
+      'unit.sessionCookies': 'cookies this session',
+      'unit.sessionClicks': 'clicks this session',
+      'unit.buildingsSold': 'buildings sold',
+      'unit.combo': 'clicks in a row',
+      'codec.invalid': 'Not a valid save code',
+      'codec.checksum': 'Checksum mismatch (code damaged or incomplete)',
+      'codec.unreadable': 'Save code could not be read',
+      'game.loadFailed': 'Save could not be loaded',
+      'game.loadFailedBackup': 'Save could not be loaded, backup kept ({key})',
+      'game.imported': 'Save imported',
+      'game.reset': 'Reset',
+      'game.noPrestige': 'No prestige to earn yet',
+      'game.ascended': 'Ascended! +{gain} prestige',
+      'theme.notUnlocked': 'Theme not unlocked yet',
+      'theme.alreadyOwned': 'You already own this theme',
+      'theme.notEnoughCookies': 'Not enough cookies',
+      'theme.bought': '{name} theme bought!',
+      'theme.notOwned': 'You have to buy this theme first',
+      'prestige.alreadyOwned': 'You already own this upgrade',
+      'prestige.notEnough': 'Not enough prestige',
+      'prestige.upgradeBought': '{name} bought!',
+      'golden.reward': '{name}! +{cookies} cookies',
+      'golden.buff': '{name}! ×{multiplier} for {duration}s'
+    },
+    content: {
+      buildings: {
+        cursor: { name: 'Cursor' },
+        click: { name: 'Stronger click' },
+        grandma: { name: 'Grandma' },
+        farm: { name: 'Farm' },
+        mine: { name: 'Mine' },
+        factory: { name: 'Factory' }
+      },
+      techUpgrades: {
+        'reinforced-finger': { name: 'Reinforced index finger', description: 'Cursors are twice as strong.' },
+        'ambidextrous': { name: 'Ambidextrous', description: 'Cursors are twice as strong.' },
+        'steel-knuckles': { name: 'Steel knuckles', description: 'Stronger click gives twice as much.' },
+        'rolling-pins': { name: "Grandma's rolling pins", description: 'Grandmas are twice as efficient.' },
+        'farmer-grandmas': { name: 'Farmer grandmas', description: 'Grandmas gain +1% per farm.' },
+        'fertilizer': { name: 'Fertilizer', description: 'Farms are twice as efficient.' },
+        'diamond-drills': { name: 'Diamond drills', description: 'Mines are twice as efficient.' },
+        'ore-conveyors': { name: 'Ore conveyors', description: 'Factories gain +2% per mine.' },
+        'faster-belts': { name: 'Faster conveyor belts', description: 'Factories are twice as efficient.' }
+      },
+      achievements: {
+        '10k': { name: '10,000 Cookies', description: 'You have collected 10,000 cookies.' },
+        '50k': { name: '50,000 Cookies', description: 'You have collected 50,000 cookies.' },
+        '100k': { name: '100,000 Cookies', description: 'You have collected 100,000 cookies.' },
+        '200k': { name: '200,000 Cookies', description: 'You have collected 200,000 cookies.' },
+        '500k': { name: '500,000 Cookies', description: 'You have collected 500,000 cookies.' },
+        '1m': { name: '1,000,000 Cookies', description: 'You have collected 1,000,000 cookies.' },
+        '2m': { name: '2,000,000 Cookies', description: 'You have collected 2,000,000 cookies.' },
+        '5m': { name: '5,000,000 Cookies', description: 'You have collected 5,000,000 cookies.' },
+        '10m': { name: '10,000,000 Cookies', description: 'You have collected 10,000,000 cookies.' },
+        golden1: { name: 'Golden find', description: 'You clicked your first golden cookie.' },
+        golden7: { name: 'Gold digger', description: 'You clicked 7 golden cookies.' },
+        golden77: { name: 'Golden hands', description: 'You clicked 77 golden cookies.' },
+        clicks100: { name: 'Clicker', description: 'You clicked the cookie 100 times.' },
+        clicks1000: { name: 'Finger cramp', description: 'You clicked the cookie 1,000 times.' },
+        clicks10000: { name: 'Click machine', description: 'You clicked the cookie 10,000 times.' },
+        cursor25: { name: 'Cursor army', description: 'You have 25 cursors.' },
+        grandma25: { name: 'Grandma club', description: 'You have 25 grandmas.' },
+        farm10: { name: 'Estate', description: 'You have 10 farms.' },
+        factory10: { name: 'Industrial park', description: 'You have 10 factories.' },
+        cps10: { name: 'Getting started', description: 'You bake 10 cookies per second.' },
+        cps100: { name: 'Bakery', description: 'You bake 100 cookies per second.' },
+        cps1000: { name: 'Cookie factory', description: 'You bake 1,000 cookies per second.' },
+        allThemes: { name: 'Collector', description: 'You bought every theme.' },
+        played1h: { name: 'Just a quick game', description: 'You have played for 1 hour.' },
+        played10h: { name: 'Dedicated', description: 'You have played for 10 hours.' },
+        session1m: { name: 'In one go', description: 'You baked 1,000,000 cookies in one session.' },
+        session500: { name: 'Click marathon', description: 'You clicked 500 times in one session.' },
+        sold10: { name: 'Clearance sale', description: 'You sold 10 buildings.' },
+        combo25: { name: 'On a roll', description: 'You clicked 25 times in a row without a pause.' },
+        combo50: { name: 'Chain reaction', description: 'You clicked 50 times in a row without a pause.' },
+        combo100: { name: 'Unstoppable', description: 'You clicked 100 times in a row without a pause.' }
+      },
+      themes: {
+        default: { name: 'Default' },
+        t50k: { name: 'Red (50k)' },
+        t100k: { name: 'Green (100k)' },
+        t200k: { name: 'Purple (200k)' },
+        t500k: { name: 'Gold (500k)' }
+      },
+      prestigeUpgrades: {
+        'heavenly-start': { name: 'Heavenly start', description: 'Start every run with 1,000 cookies.' },
+        'divine-finger': { name: 'Divine finger', description: '+10% cookies per click.' },
+        'angel-bakery': { name: 'Angel bakery', description: '+10% cookies per second.' },
+        'dream-oven': { name: 'Dream oven', description: '+25% offline production.' },
+        'heavenly-vault': { name: 'Heavenly vault', description: 'Start every run with 100,000 cookies.' }
+      },
+      goldenEffects: {
+        lucky: { name: 'Lucky' },
+        clickFrenzy: { name: 'Click frenzy' }
+      }
+    }
+  }
+};
+
+// Node / test runners: `require('./locales.js')` //
+if (typeof module !== 'undefined' && module.exports) module.exports = { LOCALES };
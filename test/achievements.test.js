@@ -0,0 +1,46 @@
+// achievements: unlocking from the simulation, theme rewards and progress //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { newGame, clickSteadily } = require('./helpers.js');
+
+test('reaching a cookie target unlocks the achievement and its theme', () => {
+  const game = newGame();
+  const events = [];
+  game.on('achievementUnlocked', ({ achievement }) => events.push(achievement.id));
+  game.addCookies(9999);
+  game.advance(0.05);
+  assert.equal(game.achievements.unlocked.has('10k'), false);
+  game.addCookies(1);
+  game.advance(0.05);
+  assert.equal(game.achievements.unlocked.has('10k'), true);
+  assert.ok(events.includes('10k'));
+  assert.equal(game.themeService.unlocked.has('t10k'), true);
+});
+
+test('achievements unlock once', () => {
+  const game = newGame();
+  const events = [];
+  game.on('achievementUnlocked', ({ achievement }) => events.push(achievement.id));
+  game.addCookies(20000);
+  game.advance(1);
+  game.advance(1);
+  assert.equal(events.filter(id => id === '10k').length, 1);
+});
+
+test('building and click achievements follow their own counters', () => {
+  const game = newGame();
+  game.addCookies(1e6);
+  game.buyUpgrade('cursor', 25);
+  clickSteadily(game, 100);
+  assert.equal(game.achievements.unlocked.has('cursor25'), true);
+  assert.equal(game.achievements.unlocked.has('clicks100'), true);
+  assert.equal(game.achievements.unlocked.has('grandma25'), false);
+});
+
+test('progress text and ratio report the way to the target', () => {
+  const game = newGame();
+  const ach = game.achievements.achievements.find(a => a.id === 'clicks100');
+  clickSteadily(game, 25);
+  assert.equal(game.achievements.getRatio(ach), 0.25);
+  assert.match(game.achievements.getProgressText(ach), /^25 \/ 100 /);
+});
@@ -0,0 +1,52 @@
+// combo: quick clicks build a streak with a tiered click multiplier that drains after a pause //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { newGame, clickSteadily } = require('./helpers.js');
+
+test('the streak reaches the tiers and multiplies the click', () => {
+  const game = newGame();
+  const clicks = [];
+  game.on('click', click => clicks.push(click));
+  clickSteadily(game, 25);
+  assert.equal(game.combo.streak, 25);
+  assert.equal(game.combo.multiplier, 2);
+  assert.equal(clicks[8].multiplier, 1);
+  assert.equal(clicks[9].multiplier, 1.5);
+  assert.equal(clicks[9].amount, game.cookiesPerClick * 1.5);
+  assert.equal(game.state.bestCombo, 25);
+});
+
+test('the streak holds during the grace time, then drains', () => {
+  const game = newGame();
+  const tiers = [];
+  game.on('comboTier', ({ tier }) => tiers.push(tier));
+  clickSteadily(game, 12);
+  const streak = game.combo.streak;
+  game.advance(game.combo.config.graceSec - 0.2);
+  assert.equal(game.combo.streak, streak);
+  game.advance(0.5);
+  assert.ok(game.combo.streak < streak);
+  game.advance(5);
+  assert.equal(game.combo.streak, 0);
+  assert.equal(game.combo.multiplier, 1);
+  assert.deepEqual(tiers, [1, 0]);
+  // the record stays //
+  assert.equal(game.state.bestCombo, 12);
+});
+
+test('a click while draining continues the streak', () => {
+  const game = newGame();
+  clickSteadily(game, 20);
+  game.advance(1.5);
+  const left = game.combo.streak;
+  game.click();
+  assert.equal(game.combo.streak, Math.floor(left) + 1);
+});
+
+test('combo achievements unlock from the best streak', () => {
+  const game = newGame();
+  clickSteadily(game, 50);
+  assert.equal(game.achievements.unlocked.has('combo25'), true);
+  assert.equal(game.achievements.unlocked.has('combo50'), true);
+  assert.equal(game.achievements.unlocked.has('combo100'), false);
+});
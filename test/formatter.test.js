@@ -0,0 +1,39 @@
+// formatter: short, full, scientific and engineering notation in Dutch //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine } = require('./helpers.js');
+
+const { Formatter, BigNum } = engine;
+
+// withFormat: run fn with another numberFormat and put the default back //
+function withFormat(format, fn) {
+  const before = Formatter.numberFormat;
+  Formatter.numberFormat = format;
+  try {
+    fn();
+  } finally {
+    Formatter.numberFormat = before;
+  }
+}
+
+test('values under 1000 keep at most two decimals', () => {
+  assert.equal(Formatter.formatNumber(12), '12');
+  assert.equal(Formatter.formatNumber(0.25), '0,25');
+  assert.equal(Formatter.formatNumber(12.5), '12,5');
+  assert.equal(Formatter.formatNumber(999.4), '999');
+});
+
+test('rounding up to 1000 moves on to the next unit', () => {
+  assert.equal(Formatter.formatNumber(999.5), '1,00K');
+  assert.equal(Formatter.formatNumber(999.99), '1,00K');
+  assert.equal(Formatter.formatNumber(999999), '1,00M');
+  withFormat('scientific', () => assert.equal(Formatter.formatNumber(999.99), '1,00e3'));
+  withFormat('engineering', () => assert.equal(Formatter.formatNumber(999.99), '1,00e3'));
+  withFormat('full', () => assert.equal(Formatter.formatNumber(999.99), '1.000'));
+});
+
+test('big numbers use the unit names and switch to scientific past them', () => {
+  assert.equal(Formatter.formatNumber(1500), '1,50K');
+  assert.equal(Formatter.formatNumber(new BigNum(1.5, 12)), '1,50T');
+  assert.equal(Formatter.formatNumber(new BigNum(2, 400)), '2,00e400');
+});
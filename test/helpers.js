@@ -0,0 +1,19 @@
+// helpers: a fresh game on in-memory storage for every test //
+const { GAME_CONTENT } = require('../content.js');
+const engine = require('../engine.js');
+
+// newGame: seeded game with empty storage, so saves from another test never leak in //
+function newGame(seed = 1) {
+  engine.StorageService.backend = new engine.MemoryStorage();
+  return new engine.CookieClickerGame(GAME_CONTENT, { seed });
+}
+
+// clickSteadily: manual clicks 0.1s of game time apart (more clicks per second are throttled) //
+function clickSteadily(game, count) {
+  for (let i = 0; i < count; i++) {
+    game.click();
+    game.advance(0.1);
+  }
+}
+
+module.exports = { GAME_CONTENT, engine, newGame, clickSteadily };
@@ -0,0 +1,36 @@
+// click integrity: flagging scripted or too fast clicks and keeping the flag across saves //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_CONTENT, engine, newGame } = require('./helpers.js');
+
+const { CookieClickerGame } = engine;
+
+test('scripted clicks flag the session once per reason', () => {
+  const game = newGame();
+  game.click({ trusted: false });
+  game.advance(0.1);
+  game.click({ trusted: false });
+  assert.equal(game.integrity.flaggedSessions.length, 1);
+  assert.deepEqual(game.integrity.session.reasons, ['untrusted']);
+});
+
+test('loading a save from the same visit keeps one copy of the running session', () => {
+  const game = newGame();
+  game.click({ trusted: false });
+  game.save();
+  game.load();
+  assert.equal(game.integrity.flaggedSessions.length, 1);
+  assert.equal(game.integrity.flaggedSessions[0], game.integrity.session);
+});
+
+test('an older session with the same flag time and reason is not mistaken for the running one', () => {
+  const game = newGame();
+  game.click({ trusted: false });
+  game.save();
+  // a new page visit flags at the same play time for the same reason //
+  const next = new CookieClickerGame(GAME_CONTENT, { seed: 1 });
+  next.click({ trusted: false });
+  next.load();
+  assert.equal(next.integrity.flaggedSessions.length, 2);
+  assert.notEqual(next.integrity.flaggedSessions[0].id, next.integrity.session.id);
+});
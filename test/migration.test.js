@@ -0,0 +1,62 @@
+// migration: SaveMigrator brings saves of every version to the current format //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_CONTENT, engine, newGame } = require('./helpers.js');
+
+const { SaveMigrator, SaveMigrationError } = engine;
+
+// a version 1 save: no version field, numbers only, themes but no statistics or achievements //
+const v1 = () => ({
+  state: { cookies: 1500, totalCookies: 25000, manualClicks: 40 },
+  upgrades: [{ id: 'cursor', count: 4 }, { id: 'removed-building', count: 2 }],
+  themes: { unlocked: ['default', 't10k'], owned: ['default', 't10k'], current: 't10k' }
+});
+
+test('a v1 save runs through every migration to the current version', () => {
+  const data = SaveMigrator.migrate(v1(), GAME_CONTENT);
+  assert.equal(data.version, SaveMigrator.CURRENT_VERSION);
+  // v3 counts the themes that were already bought //
+  assert.equal(data.state.themesBought, 1);
+  // v4 leaves achievements to be rebuilt on load //
+  assert.equal(data.achievements, null);
+  // v5 starts the lifetime totals at this run's counters //
+  assert.equal(data.state.lifetimeClicks, 40);
+  assert.equal(data.state.lifetimeCookiesSpent, 0);
+  // defaults fill fields added later, sanitize drops unknown content //
+  assert.equal(data.state.timePlayed, 0);
+  assert.equal(data.state.bestCombo, 0);
+  assert.deepEqual(data.upgrades, [{ id: 'cursor', count: 4 }]);
+  assert.equal(data.themes.current, 't10k');
+});
+
+test('a broken v1 state gets numeric cookies in v2', () => {
+  const save = v1();
+  save.state.cookies = { broken: true };
+  delete save.upgrades;
+  const data = SaveMigrator.migrate(save, GAME_CONTENT);
+  assert.equal(data.state.cookies, 0);
+  assert.deepEqual(data.upgrades, []);
+});
+
+test('migrations only run above the save version', () => {
+  const save = v1();
+  save.version = 3;
+  save.state.themesBought = 7;
+  const data = SaveMigrator.migrate(save, GAME_CONTENT);
+  assert.equal(data.state.themesBought, 7);
+});
+
+test('a migrated v1 save loads and rebuilds its achievements', () => {
+  const game = newGame();
+  engine.StorageService.save(game.saveKey, v1());
+  game.load();
+  assert.equal(game.upgrades.find(u => u.id === 'cursor').count, 4);
+  assert.equal(game.achievements.unlocked.has('10k'), true);
+  assert.equal(game.themeService.current, 't10k');
+});
+
+test('saves from a newer game or of the wrong shape are refused', () => {
+  assert.throws(() => SaveMigrator.migrate({ version: SaveMigrator.CURRENT_VERSION + 1 }, GAME_CONTENT), SaveMigrationError);
+  assert.throws(() => SaveMigrator.migrate([], GAME_CONTENT), SaveMigrationError);
+  assert.throws(() => SaveMigrator.migrate(null, GAME_CONTENT), SaveMigrationError);
+});
@@ -0,0 +1,78 @@
+// prestige: levels from lifetime cookies, the ascend soft reset and the bonuses it buys //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { newGame, clickSteadily } = require('./helpers.js');
+
+test('levels grow with the cube root of lifetime cookies', () => {
+  const prestige = newGame().prestige;
+  assert.equal(prestige.levelsFor(999999), 0);
+  assert.equal(prestige.levelsFor(1e6), 1);
+  assert.equal(prestige.levelsFor(8e6), 2);
+  assert.equal(prestige.levelsFor(1e9), 10);
+});
+
+test('ascending starts a new run and keeps the levels as a bonus', () => {
+  const game = newGame();
+  game.addCookies(8e6);
+  game.buyUpgrade('grandma', 10);
+  const cps = game.cookiesPerSecond;
+  assert.equal(game.prestige.getPendingLevels(), 2);
+  assert.equal(game.ascend(), true);
+  assert.equal(game.prestige.level, 2);
+  assert.equal(game.prestige.chips, 2);
+  assert.equal(game.state.cookies.toNumber(), 0);
+  assert.equal(game.upgrades.find(u => u.id === 'grandma').count, 0);
+  // +1% per level //
+  assert.equal(game.prestige.getMultiplier('cps'), 1.02);
+  game.addCookies(1e6);
+  game.buyUpgrade('grandma', 10);
+  assert.ok(Math.abs(game.cookiesPerSecond - cps * 1.02) < 1e-9);
+});
+
+test('ascending starts the run counters over and keeps the lifetime totals', () => {
+  const game = newGame();
+  game.addCookies(8e6);
+  game.buyUpgrade('grandma', 10);
+  clickSteadily(game, 5);
+  const spent = game.state.cookiesSpent.toNumber();
+  game.ascend();
+  clickSteadily(game, 3);
+  const stats = game.getStatistics();
+  assert.equal(stats.manualClicks, 3);
+  assert.equal(stats.lifetimeClicks, 8);
+  assert.equal(stats.cookiesSpent.toNumber(), 0);
+  assert.equal(stats.lifetimeCookiesSpent.toNumber(), spent);
+  assert.ok(stats.lifetimeClickCookies.gt(stats.clickCookies));
+});
+
+test('ascending without pending levels does nothing', () => {
+  const game = newGame();
+  game.addCookies(1000);
+  assert.equal(game.ascend(), false);
+  assert.equal(game.state.cookies.toNumber(), 1000);
+});
+
+test('prestige upgrades cost chips and apply to the next run', () => {
+  const game = newGame();
+  game.addCookies(1e6);
+  game.ascend();
+  assert.equal(game.prestige.purchase('heavenly-start'), true);
+  assert.equal(game.prestige.chips, 0);
+  assert.equal(game.prestige.purchase('divine-finger'), false);
+  game.addCookies(7e6);
+  game.ascend();
+  assert.equal(game.state.cookies.toNumber(), 1000);
+});
+
+test('the offline report includes the offline bonus of prestige upgrades', () => {
+  const game = newGame();
+  game.addCookies(1e9);
+  game.ascend();
+  assert.equal(game.prestige.purchase('dream-oven'), true);
+  game.addCookies(1e6);
+  game.buyUpgrade('grandma', 10);
+  game.state.lastSavedAt = 1000000;
+  const report = game.applyOfflineProgress(1000000 + 3600 * 1000);
+  assert.equal(report.efficiency, game.settings.offlineEfficiency + 0.25);
+  assert.ok(Math.abs(report.earned - game.cookiesPerSecond * 3600 * report.efficiency) < 1e-6);
+});
@@ -0,0 +1,99 @@
+// saves: getSaveData -> storage -> load, export codes and migration of old saves //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_CONTENT, engine, newGame, clickSteadily } = require('./helpers.js');
+
+const { CookieClickerGame, SaveMigrator, StorageService } = engine;
+
+// play: a bit of everything that ends up in a save //
+function play(game) {
+  game.addCookies(200000);
+  game.buyUpgrade('cursor', 12);
+  game.buyUpgrade('grandma', 3);
+  game.buyTech('reinforced-finger');
+  clickSteadily(game, 30);
+  game.advance(30);
+}
+
+// snapshot: the parts of the game a round trip must keep (without wall-clock dates and session ids) //
+function snapshot(game) {
+  const data = JSON.parse(JSON.stringify(game.getSaveData()));
+  delete data.state.lastSavedAt;
+  for (const entry of data.achievements) delete entry.at;
+  for (const session of data.integrity.sessions) delete session.id;
+  return data;
+}
+
+test('save then load in a new game restores the same progress', () => {
+  const game = newGame();
+  play(game);
+  game.save();
+  const before = snapshot(game);
+
+  // same storage, new page visit //
+  const loaded = new CookieClickerGame(GAME_CONTENT, { seed: 2 });
+  loaded.load();
+  assert.deepEqual(snapshot(loaded), before);
+  assert.equal(loaded.upgrades.find(u => u.id === 'cursor').count, 12);
+  assert.equal(loaded.techUpgrades.find(t => t.id === 'reinforced-finger').purchased, true);
+  assert.equal(loaded.cookiesPerSecond, game.cookiesPerSecond);
+  assert.deepEqual([...loaded.achievements.unlocked.keys()], [...game.achievements.unlocked.keys()]);
+});
+
+test('the same seed and the same actions give the same save', () => {
+  const first = newGame(42);
+  play(first);
+  first.advance(600);
+  const second = newGame(42);
+  play(second);
+  second.advance(600);
+  assert.deepEqual(snapshot(second), snapshot(first));
+});
+
+test('export code imports into an empty game', () => {
+  const game = newGame();
+  play(game);
+  const code = game.exportSave();
+  const other = newGame(3);
+  const preview = other.previewImport(code);
+  assert.equal(preview.summary.buildings, 15);
+  other.importSave(preview.data);
+  assert.equal(other.state.totalCookies.toJSON(), game.state.totalCookies.toJSON());
+  assert.equal(other.state.manualClicks, 30);
+});
+
+test('a damaged export code is rejected', () => {
+  const code = newGame().exportSave();
+  const broken = code.slice(0, -4) + (code.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+  assert.throws(() => newGame().previewImport(broken), engine.SaveCodecError);
+});
+
+test('an old save without a version is migrated on load', () => {
+  const game = newGame();
+  StorageService.save(game.saveKey, { state: { cookies: 500, totalCookies: 800 }, upgrades: [{ id: 'cursor', count: 3 }] });
+  game.load();
+  assert.equal(game.state.cookies.toNumber(), 500);
+  assert.equal(game.upgrades.find(u => u.id === 'cursor').count, 3);
+  assert.equal(game.getSaveData().version, SaveMigrator.CURRENT_VERSION);
+});
+
+test('the autosave interval only takes the choices of the settings select', () => {
+  const game = newGame();
+  game.updateSettings({ autosaveIntervalSec: 60 });
+  game.updateSettings({ autosaveIntervalSec: 120 });
+  assert.equal(game.settings.autosaveIntervalSec, 60);
+});
+
+test('an unreadable save is kept as a backup', () => {
+  const game = newGame();
+  StorageService.saveRaw(game.saveKey, '{not json');
+  const messages = [];
+  const failures = [];
+  game.on('notify', ({ message }) => messages.push(message));
+  game.on('loadFailed', failure => failures.push(failure));
+  game.load();
+  assert.equal(messages.length, 1);
+  assert.ok(failures[0].error instanceof engine.SaveMigrationError);
+  assert.equal(StorageService.loadRaw(failures[0].backupKey), '{not json');
+  assert.equal(StorageService.loadRaw(game.saveKey), '{not json');
+});
@@ -0,0 +1,99 @@
+// shop: prices, bulk amounts and buying/selling buildings //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, newGame } = require('./helpers.js');
+
+const { BigNum } = engine;
+
+test('getCostFor adds up the single prices of every unit', () => {
+  const cursor = newGame().upgrades.find(u => u.id === 'cursor');
+  let sum = 0;
+  for (let i = 0; i < 10; i++) sum += cursor.getCost(i).toNumber();
+  // each unit is floored on its own, the closed form only once //
+  assert.ok(Math.abs(cursor.getCostFor(10, 0).toNumber() - sum) <= 10);
+  assert.equal(cursor.getCostFor(1).toNumber(), cursor.getCost().toNumber());
+  assert.equal(cursor.getCostFor(0).toNumber(), 0);
+});
+
+test('getCostFor stays finite for huge counts', () => {
+  const cursor = newGame().upgrades.find(u => u.id === 'cursor');
+  const cost = cursor.getCostFor(100, 10000);
+  assert.ok(cost.gt(new BigNum(1, 300)));
+  assert.ok(Number.isFinite(cost.log10()));
+});
+
+test('getMaxAffordable returns the largest amount the cookies pay for', () => {
+  const cursor = newGame().upgrades.find(u => u.id === 'cursor');
+  assert.equal(cursor.getMaxAffordable(14), 0);
+  assert.equal(cursor.getMaxAffordable(15), 1);
+  for (const cookies of [100, 1234, 99999, 1e7]) {
+    const n = cursor.getMaxAffordable(cookies);
+    assert.ok(cursor.getCostFor(n).lte(cookies), `${n} cursors fit in ${cookies}`);
+    assert.ok(cursor.getCostFor(n + 1).gt(cookies), `${n + 1} cursors don't fit in ${cookies}`);
+  }
+});
+
+test('buyUpgrade spends the quoted cost and adds the units', () => {
+  const game = newGame();
+  const cursor = game.upgrades.find(u => u.id === 'cursor');
+  game.addCookies(1000);
+  const cost = cursor.getCostFor(10);
+  assert.equal(game.buyUpgrade('cursor', 10), true);
+  assert.equal(cursor.count, 10);
+  assert.equal(game.state.cookies.toNumber(), 1000 - cost.toNumber());
+  assert.equal(game.state.cookiesSpent.toNumber(), cost.toNumber());
+  assert.ok(game.cookiesPerSecond > 0);
+});
+
+test('buyUpgrade refuses what the player cannot afford', () => {
+  const game = newGame();
+  game.addCookies(10);
+  assert.equal(game.buyUpgrade('cursor'), false);
+  assert.equal(game.buyUpgrade('unknown'), false);
+  assert.equal(game.state.cookies.toNumber(), 10);
+  assert.equal(game.upgrades.find(u => u.id === 'cursor').count, 0);
+});
+
+test("buyUpgrade 'max' buys as many as the cookies allow", () => {
+  const game = newGame();
+  game.addCookies(5000);
+  const cursor = game.upgrades.find(u => u.id === 'cursor');
+  const expected = cursor.getMaxAffordable(5000);
+  assert.equal(game.buyUpgrade('cursor', 'max'), true);
+  assert.equal(cursor.count, expected);
+  assert.ok(game.state.cookies.lt(cursor.getCost()));
+});
+
+test('sellUpgrade refunds part of the price and reports the sale', () => {
+  const game = newGame();
+  game.addCookies(1000);
+  game.buyUpgrade('cursor', 10);
+  const sales = [];
+  game.on('sell', sale => sales.push(sale));
+  const before = game.state.cookies;
+  assert.equal(game.sellUpgrade('cursor', 4), true);
+  assert.equal(game.upgrades.find(u => u.id === 'cursor').count, 6);
+  assert.ok(game.state.cookies.gt(before));
+  assert.equal(game.state.buildingsSold, 4);
+  assert.equal(sales.length, 1);
+  assert.equal(sales[0].amount, 4);
+});
+
+test('selling leaves saving to the autosave and follows the refund setting', () => {
+  const game = newGame();
+  game.addCookies(1000);
+  game.buyUpgrade('cursor', 10);
+  let saves = 0;
+  game.on('save', () => saves++);
+  const quote = rate => {
+    game.updateSettings({ sellRefundRate: rate });
+    return game.quoteSell(game.upgrades.find(u => u.id === 'cursor'), 4).refund.toNumber();
+  };
+  // refunds are floored, so allow one cookie //
+  assert.ok(Math.abs(quote(1) - 2 * quote(0.5)) <= 1);
+  // only the choices offered in the settings are accepted //
+  game.updateSettings({ sellRefundRate: 0.3 });
+  assert.equal(game.settings.sellRefundRate, 0.5);
+  game.sellUpgrade('cursor', 4);
+  assert.equal(saves, 0);
+});
@@ -0,0 +1,37 @@
+// save slots: the slot index, default names and copies //
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine } = require('./helpers.js');
+
+const { SaveSlotService, StorageService, MemoryStorage, I18n } = engine;
+
+// freshSlots: a slot index on empty storage //
+function freshSlots() {
+  StorageService.backend = new MemoryStorage();
+  return new SaveSlotService();
+}
+
+test('default slot names are stored without text and translated when shown', () => {
+  const slots = freshSlots();
+  const [main] = slots.slots;
+  assert.equal(main.name, null);
+  const before = I18n.catalogs.en.messages['slots.default'];
+  I18n.catalogs.en.messages['slots.default'] = 'Save {n}';
+  try {
+    I18n.setLanguage('en');
+    assert.equal(slots.nameOf(main), 'Save 1');
+    assert.equal(slots.nameOf(slots.create()), 'Save 2');
+  } finally {
+    I18n.catalogs.en.messages['slots.default'] = before;
+    I18n.setLanguage('nl');
+  }
+});
+
+test('a named slot keeps its name and a copy is named after it', () => {
+  const slots = freshSlots();
+  const slot = slots.create('Speedrun');
+  assert.equal(slots.nameOf(slot), 'Speedrun');
+  const copy = slots.duplicate(slot.id);
+  assert.equal(slots.nameOf(copy), I18n.t('slots.copy', { name: 'Speedrun' }));
+  assert.equal(slots.activeId, slot.id);
+});